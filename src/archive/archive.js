@@ -3,9 +3,19 @@ import settings from "../shared/settings.mjs";
 import localcache from "../shared/localcache.mjs";
 import db from "../shared/database.mjs";
 import ruleeval from "../shared/rules.mjs";
+import searchtokenizer from "../shared/searchtokens.mjs";
+import pagetexthelper from "../shared/pagetexts.mjs";
+import archiveencryption from "../shared/encryption.mjs";
+import urllistparser from "../shared/urllists.mjs";
+import bookmarkshtmlparser from "../shared/bookmarkshtml.mjs";
+import firefoxsessionparser from "../shared/firefoxsessions.mjs";
+import importers from "../shared/importers.mjs";
+import textexporter, { textExportFormats } from "../shared/textexport.mjs";
+import { escapeHTML } from "../shared/htmlhelpers.mjs";
 
 const minimumSpinnerDisplayTime = 250;
 const minimumProcessDialogDisplayTime = 1000;
+const undoToastDisplayTime = 8000;
 
 const activeLiveQuerySubscriptions = {};
 const activeLiveQueryCountSubscriptions = {};
@@ -42,13 +52,19 @@ const previousGroupEntryCounts = {};
 let hasBookmarkingPermission = false;
 let hasDownloadingPermission = false;
 let tabsToBookmark = null;
+let splitSessionTabIds = {};
+let subdirectoriesToBookmark = [];
+let bookmarkFoldersToImport = null;
+let tabIdsToExport = [];
 
 let elementHoveredOverForMoving = null;
+let categoryHoveredOverForNesting = null;
 let idsOfTabsToMove = [];
 let moveTabsSourceGroup = null;
 let moveTabsTargetGroup = null;
 
 let textBubbleTimer = null;
+let undoToastTimer = null;
 
 let testAutoCatchRulePromise = null;
 let testAutoCatchRuleVersion = 0;
@@ -103,12 +119,6 @@ localcache.archive.then((archiveCache) => {
 
 const groupsRootList = document.querySelector("#groups-root-list");
 	
-function escapeHTML(unescaped) {
-	const div = document.createElement("div");
-	div.textContent = unescaped;
-	return div.innerHTML;
-}
-
 async function updatePermissions() {
 	let allPermissions = await browser.permissions.getAll();
 	
@@ -272,6 +282,17 @@ function processGroupsListMutations(mutations) {
 					const group = removedNode;
 					
 					clearGroupSubscriptions(group);
+					
+					// Groups can contain nested groups (like subcategories), which are
+					// removed along with them and need to be cleaned up as well.
+					for (const nestedGroup of group.querySelectorAll("details")) {
+						clearGroupSubscriptions(nestedGroup);
+						
+						if (activeMutationObservers[nestedGroup.id]) {
+							activeMutationObservers[nestedGroup.id].disconnect();
+							activeMutationObservers[nestedGroup.id] = undefined;
+						}
+					}
 				}
 			}
 		}
@@ -319,6 +340,12 @@ function initializeInnerGroup(outerGroup, groupData, idPrefix, getGroupPropertie
 		</span>
 	`);
 	
+	if (groupProperties.description) {
+		innerGroup.querySelector(".group-contents").insertAdjacentHTML("afterbegin", `
+			<p class="group-description">${escapeHTML(groupProperties.description)}</p>
+		`);
+	}
+	
 	initializeGroupAsTabListContainer(innerGroup, idPrefix);
 	
 	return innerGroup;
@@ -335,6 +362,24 @@ function initializeGroupAsChildGroupListContainer(group, type) {
 	const groupsList = createGroupsList(groupContents, group.id);
 }
 
+// Subcategories are listed in a nested categories list below the tabs of their parent category.
+function initializeSubcategoriesGroup(categoryGroup, color) {
+	const categoryId = parseInt(categoryGroup.dataset.categoryid);
+	const groupContents = categoryGroup.querySelector(":scope > .group-content-setup-root > .group-contents");
+	
+	const subcategoriesGroup = createGroup(groupContents, "subcategories-details group-box colorize-" + color, "subcategories-" + categoryId, "Subcategories", "", { type: "groupsList", context: "mainArchive" });
+	subcategoriesGroup.dataset.parentcategoryid = categoryId;
+	
+	initializeGroupAsChildGroupListContainer(subcategoriesGroup, "categories");
+	initializeEntryCountLiveQuery(subcategoriesGroup, groupFunctionLookup.categories, categoryId);
+	
+	if (openGroups[subcategoriesGroup.id]) {
+		subcategoriesGroup.open = true;
+	}
+	
+	return subcategoriesGroup;
+}
+
 
 async function sortedQuery(originalQuery, sortFunction) {
 	const queryResult = await originalQuery;
@@ -342,43 +387,64 @@ async function sortedQuery(originalQuery, sortFunction) {
 }
 
 
+// Only used for tabs that aren't part of the tabs table, like the ones in the trash.
+// Everything else goes through the search index of the database instead.
 function applyTabFilter(tab, filterStrings) {
-	const lowerCaseUrl = tab.url.toLowerCase();
-	const lowerCaseTitle = tab.title.toLowerCase();
-	for (const filterString of filterStrings) {
-		if (lowerCaseUrl.includes(filterString) || lowerCaseTitle.includes(filterString)) {
-			continue;
-		}
-		
-		return false;
-	}
+	const tokens = searchtokenizer.getTabTokens(tab);
 	
-	return true;
+	return filterStrings.every((filterString) => {
+		return searchtokenizer.matches(tokens, filterString);
+	});
 }	
 	
+// Looks up matching tabs in the search index and only intersects them with the IDs of the
+// tabs in the group, so that the contents of tabs never need to be scanned.
 function filterTabs(tabPrimitive, queryArgument, filterStrings) {
-	const queryPrimitive = tabPrimitive(queryArgument).filter((tab) => {
-		return applyTabFilter(tab, filterStrings);
-	});
+	async function queryMatchingTabIds() {
+		const matchingTabIds = await db.findTabIdsBySearch(filterStrings);
+		const tabIdsInGroup = await tabPrimitive(queryArgument).primaryKeys();
+		
+		return tabIdsInGroup.filter((tabId) => matchingTabIds.has(tabId));
+	}
+	
+	// Pretend we're a Dexie collection, for compatibility.
+	return {
+		async toArray() {
+			return await db.tabs.bulkGet(await queryMatchingTabIds());
+		},
+		
+		async count() {
+			return (await queryMatchingTabIds()).length;
+		},
+		
+		async primaryKeys() {
+			return await queryMatchingTabIds();
+		}
+	};
+}
+
+function applySessionFilter(session, filterStrings) {
+	const tokens = searchtokenizer.tokenize(`${session.name ? session.name : ""} ${session.description ? session.description : ""}`);
 	
-	return queryPrimitive;
+	return filterStrings.every((filterString) => {
+		return searchtokenizer.matches(tokens, filterString);
+	});
 }
 
 function filterSessions(groupPrimitive, tabPrimitive, filterStrings) {
 	async function runQuery() {
-		const matchingTabs = await filterTabs(tabPrimitive, undefined, filterStrings).toArray();
+		const matchingTabIds = new Set(await filterTabs(tabPrimitive, undefined, filterStrings).primaryKeys());
 		
-		const uniqueSessionDates = [];
+		// Sessions also match by their name or description, not only by the tabs they contain.
+		const uniqueSessionDates = new Set(await groupPrimitive().filter((session) => {
+			return applySessionFilter(session, filterStrings);
+		}).primaryKeys());
 		
-		for (const tab of matchingTabs) {
-			for (const sessionDate of tab.sessions) {
-				if (!uniqueSessionDates.includes(sessionDate)) {
-					uniqueSessionDates.push(sessionDate);
-				}
-			}
+		for (const sessionDate of await db.getGroupKeysOfTabs("sessions", matchingTabIds)) {
+			uniqueSessionDates.add(sessionDate);
 		}
 		
-		return await groupPrimitive().where("creationdate").anyOf(uniqueSessionDates).toArray();
+		return await groupPrimitive().where("creationdate").anyOf([...uniqueSessionDates]).toArray();
 	}
 	
 	// Pretend we're a Dexie collection, for compatibility.
@@ -395,19 +461,10 @@ function filterSessions(groupPrimitive, tabPrimitive, filterStrings) {
 
 function filterCategories(groupPrimitive, tabPrimitive, filterStrings) {
 	async function runQuery() {
-		const matchingTabs = await filterTabs(tabPrimitive, undefined, filterStrings).toArray();
-		
-		const uniqueCategoryIds = [];
-		
-		for (const tab of matchingTabs) {
-			for (const categoryId of tab.categories) {
-				if (!uniqueCategoryIds.includes(categoryId)) {
-					uniqueCategoryIds.push(categoryId);
-				}
-			}
-		}
+		const matchingTabIds = new Set(await filterTabs(tabPrimitive, undefined, filterStrings).primaryKeys());
+		const uniqueCategoryIds = await db.getGroupKeysOfTabs("categories", matchingTabIds);
 		
-		return await groupPrimitive().where("id").anyOf(uniqueCategoryIds).toArray();
+		return await groupPrimitive().where("id").anyOf([...uniqueCategoryIds]).toArray();
 	}
 	
 	// Pretend we're a Dexie collection, for compatibility.
@@ -422,6 +479,75 @@ function filterCategories(groupPrimitive, tabPrimitive, filterStrings) {
 	};
 }
 
+// Tabs in the trash aren't part of the tabs table, so they can't be queried via Dexie
+// and get filtered manually instead.
+function getFilteredTrashEntryTabs(trashEntry) {
+	if (!areFilterStringsSet()) {
+		return trashEntry.tabs;
+	}
+	
+	return trashEntry.tabs.filter((tab) => {
+		return applyTabFilter(tab, filterStrings);
+	});
+}
+
+// Categories form a hierarchy via their parentId, where 0 means "top level". While a search filter
+// is active, a category stays visible as long as it or any of its subcategories contains a match.
+async function queryVisibleCategories() {
+	if (!areFilterStringsSet()) {
+		return groupFunctionPrimitives.categories().toArray();
+	}
+	
+	const allCategories = await groupFunctionPrimitives.categories().toArray();
+	const matchingCategories = await groupFunctionPrimitivesWithFilters.categories().toArray();
+	
+	const categoriesById = new Map(allCategories.map((category) => [category.id, category]));
+	const visibleCategoryIds = new Set();
+	
+	for (const matchingCategory of matchingCategories) {
+		let category = matchingCategory;
+		
+		while (category !== undefined && !visibleCategoryIds.has(category.id)) {
+			visibleCategoryIds.add(category.id);
+			category = categoriesById.get(category.parentId);
+		}
+	}
+	
+	return allCategories.filter((category) => {
+		return visibleCategoryIds.has(category.id);
+	});
+}
+
+// Categories whose parent doesn't exist (anymore) are shown at the top level, so that they can't get lost.
+function getDisplayedCategoryParentId(category, visibleCategoryIds) {
+	return (visibleCategoryIds.has(category.parentId) ? category.parentId : 0);
+}
+
+// Sessions that match the search filter by their name or description show all of their tabs.
+async function getTabsInSessionPrimitive(creationdate) {
+	if (areFilterStringsSet()) {
+		const session = await db.getSession(creationdate);
+		
+		if (session !== undefined && applySessionFilter(session, filterStrings)) {
+			return groupFunctionPrimitives.tabsInSession;
+		}
+	}
+	
+	return groupFunctionPrimitivesWithFilters.tabsInSession;
+}
+
+async function getFilteredTrashEntries() {
+	const trashEntries = await db.trash.toArray();
+	
+	if (!areFilterStringsSet()) {
+		return trashEntries;
+	}
+	
+	return trashEntries.filter((trashEntry) => {
+		return getFilteredTrashEntryTabs(trashEntry).length > 0;
+	});
+}
+
 function areFilterStringsSet() {
 	return (filterStrings.length !== 0);
 }
@@ -452,6 +578,10 @@ const groupFunctionPrimitives = {
 	tabsInCategory: (id) => {
 		return db.tabs.where("categories").equals(id);
 	},
+	
+	tabsInCategories: (ids) => {
+		return db.tabs.where("categories").anyOf(ids).distinct();
+	},
 }
 
 const groupFunctionPrimitivesWithFilters = {
@@ -494,6 +624,14 @@ const groupFunctionPrimitivesWithFilters = {
 		
 		return filterTabs(groupFunctionPrimitives.tabsInCategory, id, filterStrings);
 	},
+	
+	tabsInCategories: (ids) => {
+		if (!areFilterStringsSet()) {
+			return groupFunctionPrimitives.tabsInCategories(ids);
+		}
+		
+		return filterTabs(groupFunctionPrimitives.tabsInCategories, ids, filterStrings);
+	},
 }
 
 const groupFunctionLookup = {
@@ -515,16 +653,30 @@ const groupFunctionLookup = {
 	},
 	
 	categories: {
-		query: async () => {
-			return sortedQuery(groupFunctionPrimitivesWithFilters.categories().toArray(), compareSortKeysReversed);
+		query: async (parentId = 0) => {
+			const categories = await queryVisibleCategories();
+			const visibleCategoryIds = new Set(categories.map((category) => {return category.id}));
+			
+			const childCategories = categories.filter((category) => {
+				return getDisplayedCategoryParentId(category, visibleCategoryIds) === parentId;
+			});
+			
+			for (const childCategory of childCategories) {
+				childCategory.hasSubcategories = categories.some((category) => {return category.parentId === childCategory.id});
+			}
+			
+			return childCategories.sort(compareSortKeysReversed);
 		},
-		queryTabCount: async () => {
+		queryTabCount: async (parentId = 0) => {
 			const isFilteredResult = areFilterStringsSet();
-			const categories = await groupFunctionPrimitivesWithFilters.categories().toArray();
-			const categoryIds = categories.map((category) => {return category.id});
-			const uniqueTabCount = await db.tabs.where("categories").anyOf(categoryIds).count();
+			const categories = await queryVisibleCategories();
+			let categoryIds = categories.map((category) => {return category.id});
+			if (parentId !== 0) {
+				categoryIds = db.getCategoryDescendantIds(categories, parentId);
+			}
+			const uniqueTabCount = await db.tabs.where("categories").anyOf(categoryIds).distinct().count();
 			return {
-				groupCount: categories.length,
+				groupCount: categoryIds.length,
 				uniqueTabCount: uniqueTabCount,
 				isFilteredResult: isFilteredResult
 			};
@@ -547,11 +699,13 @@ const groupFunctionLookup = {
 	
 	tabsInSession: {
 		query: async (creationdate) => {
-			return sortedQuery(groupFunctionPrimitivesWithFilters.tabsInSession(creationdate).toArray(), compareSortKeys);
+			const tabsInSession = await getTabsInSessionPrimitive(creationdate);
+			return sortedQuery(tabsInSession(creationdate).toArray(), compareSortKeys);
 		},
 		queryTabCount: async (creationdate) => {
 			const isFilteredResult = areFilterStringsSet();
-			const uniqueTabCount = await groupFunctionPrimitivesWithFilters.tabsInSession(creationdate).count();
+			const tabsInSession = await getTabsInSessionPrimitive(creationdate);
+			const uniqueTabCount = await tabsInSession(creationdate).count();
 			return {
 				uniqueTabCount: uniqueTabCount,
 				isFilteredResult: isFilteredResult
@@ -563,16 +717,68 @@ const groupFunctionLookup = {
 		query: async (id) => {
 			return sortedQuery(groupFunctionPrimitivesWithFilters.tabsInCategory(id).toArray(), compareSortKeys);
 		},
+		// Counts the tabs of the entire subtree, so that collapsed subcategories still show up in the badge.
 		queryTabCount: async (id) => {
 			const isFilteredResult = areFilterStringsSet();
-			const uniqueTabCount = await groupFunctionPrimitivesWithFilters.tabsInCategory(id).count();
+			const directTabCount = await groupFunctionPrimitivesWithFilters.tabsInCategory(id).count();
+			const descendantIds = db.getCategoryDescendantIds(await groupFunctionPrimitives.categories().toArray(), id);
+			
+			if (descendantIds.length === 0) {
+				return {
+					uniqueTabCount: directTabCount,
+					isFilteredResult: isFilteredResult
+				};
+			}
+			
+			const uniqueTabCount = await groupFunctionPrimitivesWithFilters.tabsInCategories([id, ...descendantIds]).count();
+			return {
+				groupCount: descendantIds.length,
+				uniqueTabCount: uniqueTabCount,
+				directTabCount: directTabCount,
+				isFilteredResult: isFilteredResult
+			};
+		},
+	},
+	
+	
+	trashEntries: {
+		query: async () => {
+			return sortedQuery(getFilteredTrashEntries(), compareSortKeysReversed);
+		},
+		queryTabCount: async () => {
+			const isFilteredResult = areFilterStringsSet();
+			const trashEntries = await getFilteredTrashEntries();
+			let uniqueTabCount = 0;
+			for (const trashEntry of trashEntries) {
+				uniqueTabCount += getFilteredTrashEntryTabs(trashEntry).length;
+			}
 			return {
+				groupCount: trashEntries.length,
 				uniqueTabCount: uniqueTabCount,
 				isFilteredResult: isFilteredResult
 			};
 		},
 	},
 	
+	tabsInTrashEntry: {
+		query: async (id) => {
+			const trashEntry = await db.trash.get(id);
+			if (!trashEntry) {
+				return [];
+			}
+			
+			return sortedQuery(getFilteredTrashEntryTabs(trashEntry), compareSortKeys);
+		},
+		queryTabCount: async (id) => {
+			const isFilteredResult = areFilterStringsSet();
+			const trashEntry = await db.trash.get(id);
+			return {
+				uniqueTabCount: (trashEntry ? getFilteredTrashEntryTabs(trashEntry).length : 0),
+				isFilteredResult: isFilteredResult
+			};
+		},
+	},
+	
 	
 	testautocatchrulecaughttabs: {
 		query: async () => {
@@ -744,6 +950,7 @@ function updateBadge(group, badgeData) {
 		
 	badgeSummaryElement.dataset.hasgroups = false;
 	badgeSummaryElement.dataset.hasuniquetabs = false;
+	badgeSummaryElement.dataset.hasdirecttabs = false;
 	
 	let newBadgeText = "";
 	
@@ -764,6 +971,12 @@ function updateBadge(group, badgeData) {
 		group.dataset.containedtabcount = badgeData.uniqueTabCount;
 	}
 	
+	// Only set for groups whose badge aggregates nested groups, like categories with subcategories.
+	if (badgeData.directTabCount !== undefined) {
+		badgeSummaryElement.dataset.hasdirecttabs = true;
+		badgeSummaryElement.dataset.directtabcount = badgeData.directTabCount;
+	}
+	
 	badgeSummaryElement.dataset.isfiltered = badgeData.isFilteredResult;
 	
 	badgeSummaryElement.textContent = newBadgeText;
@@ -801,6 +1014,7 @@ const rootGroups = {
 	categories: createGroup(groupsRootList, "root-details group-box colorize-cyan", "categoriesGroup", "Categories", "", { type: "groupsList", context: "mainArchive" }),
 	sessions: createGroup(groupsRootList, "root-details group-box colorize-cyan", "sessionsGroup", "Sessions", "", { type: "groupsList", context: "mainArchive" }),
 	unsortedTabs: createGroup(groupsRootList, "root-details group-box colorize-cyan", "unsortedTabsGroup", "All Archived Tabs", "", { type: "groupsList", context: "mainArchive", storagelocation: "archivedTabs" }),
+	trash: createGroup(groupsRootList, "root-details group-box colorize-cyan", "trashGroup", "Trash", "", { type: "groupsList", context: "trash" }),
 }
 
 function getCategoryProperties(category) {
@@ -813,6 +1027,7 @@ function getCategoryProperties(category) {
 		actions: `
 			<button data-action="edit-category-settings" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/settings-solid-fixed-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/settings-solid-fixed-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
 			<button data-action="convert-group-to-bookmarks" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/bookmark-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/bookmark-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
+			<button data-action="export-group" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/export-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/export-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
 			<button data-action="delete-category" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/trash-solid.svg" style="height: 32px;" /></button>
 		`
 	}
@@ -820,7 +1035,109 @@ function getCategoryProperties(category) {
 	return properties;
 }
 
-function getSessionProperties(session) {
+// Preview images live in their own table, so they're only loaded once they actually get shown.
+async function loadPreviewImage(tabId, imageElement, rootElement) {
+	imageElement.dataset.tabid = tabId;
+	
+	const previewImage = await db.getPreviewImage(tabId);
+	
+	// The element might already be showing a different tab by now.
+	if (imageElement.dataset.tabid !== String(tabId)) {
+		return;
+	}
+	
+	if (previewImage === undefined) {
+		imageElement.removeAttribute("src");
+		rootElement.dataset.show = false;
+		return;
+	}
+	
+	// The image keeps being displayed after its object URL has been released.
+	const objectUrl = URL.createObjectURL(previewImage);
+	const releaseObjectUrl = () => URL.revokeObjectURL(objectUrl);
+	imageElement.addEventListener("load", releaseObjectUrl, { once: true });
+	imageElement.addEventListener("error", releaseObjectUrl, { once: true });
+	
+	imageElement.setAttribute("src", objectUrl);
+	rootElement.dataset.show = true;
+}
+
+// Shows where the current filter matched the saved text of a tab.
+async function loadPageTextSnippets(tabId, rootElement) {
+	if (filterStrings.length === 0) {
+		return;
+	}
+	
+	rootElement.dataset.tabid = tabId;
+	
+	let pageText = undefined;
+	try {
+		pageText = await db.getPageText(tabId);
+	} catch (error) {
+		debugh.error("Reading page text of tab", tabId, "failed:", error);
+	}
+	
+	if (pageText === undefined || rootElement.dataset.tabid !== String(tabId)) {
+		return;
+	}
+	
+	const snippets = pagetexthelper.getSnippets(pageText, filterStrings.join(" "));
+	
+	rootElement.textContent = "";
+	
+	for (const snippetParts of snippets) {
+		const snippetHtml = snippetParts.map((part) => {
+			return (part.isMatch ? `<mark>${escapeHTML(part.text)}</mark>` : escapeHTML(part.text));
+		}).join("");
+		
+		rootElement.insertAdjacentHTML("beforeend", `<p>${snippetHtml}</p>`);
+	}
+	
+	rootElement.dataset.show = (snippets.length > 0);
+}
+
+// Archived tabs show favicons from the local cache (see db.cacheFavicons()), with a placeholder
+// for origins that don't have one. Object URLs are shared per origin for the lifetime of the page.
+const faviconPlaceholderUrl = "../icons/iconoir/edits/globe.svg";
+const cachedFaviconUrls = new Map();
+
+async function getCachedFaviconUrl(origin) {
+	if (!cachedFaviconUrls.has(origin)) {
+		cachedFaviconUrls.set(origin, db.getFavicon(origin).then((favicon) => {
+			// Don't remember misses, the favicon might get cached while the page is open.
+			if (favicon === undefined) {
+				cachedFaviconUrls.delete(origin);
+				return null;
+			}
+			
+			return URL.createObjectURL(favicon);
+		}).catch((error) => {
+			cachedFaviconUrls.delete(origin);
+			return null;
+		}));
+	}
+	
+	return cachedFaviconUrls.get(origin);
+}
+
+async function loadFavicon(url, imageElement) {
+	const origin = db.getFaviconOrigin(url);
+	imageElement.dataset.faviconorigin = (origin === undefined ? "" : origin);
+	imageElement.setAttribute("src", faviconPlaceholderUrl);
+	
+	if (origin === undefined) {
+		return;
+	}
+	
+	const faviconUrl = await getCachedFaviconUrl(origin);
+	
+	// The element might already be showing a different tab by now.
+	if (faviconUrl !== null && imageElement.dataset.faviconorigin === origin) {
+		imageElement.setAttribute("src", faviconUrl);
+	}
+}
+
+function formatDisplayDate(timestamp) {
 	const dateOptions = {
 		year: "numeric",
 		month: "long",
@@ -831,14 +1148,27 @@ function getSessionProperties(session) {
 		second: "2-digit",
 	};
 	
+	return new Date(timestamp).toLocaleDateString(undefined, dateOptions);
+}
+
+function getSessionDisplayName(session) {
+	return (session.name ? session.name : formatDisplayDate(session.creationdate));
+}
+
+function getSessionProperties(session) {
 	const properties = {
-		name: new Date(session.creationdate).toLocaleDateString(undefined, dateOptions),
+		name: getSessionDisplayName(session),
+		description: session.description,
 		id: session.creationdate,
 		color: "gray",
 		storageLocation: "archivedTabs",
 		draggable: false,
 		actions: `
+			<button data-action="edit-session-settings" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/settings-solid-fixed-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/settings-solid-fixed-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
+			<button data-action="merge-sessions" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/merge-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/merge-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
+			<button data-action="split-session" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/split-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/split-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
 			<button data-action="convert-group-to-bookmarks" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/bookmark-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/bookmark-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
+			<button data-action="export-group" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/export-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/export-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
 			<button data-action="delete-session" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/trash-solid.svg" style="height: 32px;" /></button>
 		`
 	}
@@ -846,6 +1176,42 @@ function getSessionProperties(session) {
 	return properties;
 }
 
+function getTrashEntryProperties(trashEntry) {
+	let name = "";
+	
+	switch (trashEntry.type) {
+		case "category":
+			name = `Category "${trashEntry.categories[0].name}"`;
+			break;
+			
+		case "session":
+			if (trashEntry.sessions[0].name) {
+				name = `Session "${trashEntry.sessions[0].name}"`;
+			} else {
+				name = `Session from ${formatDisplayDate(trashEntry.sessions[0].creationdate)}`;
+			}
+			break;
+			
+		case "tabs":
+			name = (trashEntry.tabs.length === 1 ? `Tab "${trashEntry.tabs[0].title}"` : `${trashEntry.tabs.length} tabs`);
+			break;
+	}
+	
+	const properties = {
+		name: `${name} - deleted ${formatDisplayDate(trashEntry.deletiondate)}`,
+		id: trashEntry.id,
+		color: (trashEntry.type === "category" ? trashEntry.categories[0].color : "gray"),
+		storageLocation: "trash",
+		draggable: false,
+		actions: `
+			<button data-action="restore-trash-entry" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/import-light.svg" class="only-in-light-theme" style="height: 32px;" /><img src="../icons/iconoir/edits/import-dark.svg" class="only-in-dark-theme" style="height: 32px;" /></button>
+			<button data-action="purge-trash-entry" data-tooltiptype="button" class="colorize-button image-button action-button has-tooltip"><img src="../icons/iconoir/edits/trash-solid.svg" style="height: 32px;" /></button>
+		`
+	}
+	
+	return properties;
+}
+
 function getTestAutoCatchResultProperties(groupData) {
 	const names = {
 		openTabs: "Open Tabs",
@@ -867,15 +1233,21 @@ function getTestAutoCatchResultProperties(groupData) {
 initializeGroupAsTabListContainer(rootGroups.unsortedTabs, "unsortedtabs");
 initializeGroupAsChildGroupListContainer(rootGroups.sessions, "sessions");
 initializeGroupAsChildGroupListContainer(rootGroups.categories, "categories");
+initializeGroupAsChildGroupListContainer(rootGroups.trash, "trashentries");
 
 initializeEntryCountLiveQuery(rootGroups.unsortedTabs, groupFunctionLookup.unsortedTabs, undefined);
 initializeEntryCountLiveQuery(rootGroups.sessions, groupFunctionLookup.sessions, undefined);
 initializeEntryCountLiveQuery(rootGroups.categories, groupFunctionLookup.categories, undefined);
+initializeEntryCountLiveQuery(rootGroups.trash, groupFunctionLookup.trashEntries, undefined);
 
 rootGroups.categories.querySelector(".group-contents").insertAdjacentHTML("afterbegin", `
 	<button data-action="create-category" data-tooltiptype="button" class="colorize-button has-tooltip">&#xff0b;</button>
 `);
 
+rootGroups.trash.querySelector(".group-contents").insertAdjacentHTML("afterbegin", `
+	<button data-action="empty-trash" class="colorize-button colorize-red">Empty Trash</button>
+`);
+
 
 async function createNewCategory() {
 	clearFilterStrings();
@@ -959,7 +1331,7 @@ function updateShowTooltip(mousePos, mouseTarget) {
 							const tab = await db.tabs.get({id: parseInt(tooltipElement.dataset.tabid)});
 							tooltipLayer.insertAdjacentHTML("afterbegin", `
 								<div>
-									<span class="fav-icon-list-item" data-validimage="${tab.metadata.favIconUrl !== undefined}"><img src="${tab.metadata.favIconUrl}" class="fav-icon-small" /></span><span class="tooltip-title">${escapeHTML(tab.title)}</span>
+									<span class="fav-icon-list-item" data-validimage="true"><img class="fav-icon-small" /></span><span class="tooltip-title">${escapeHTML(tab.title)}</span>
 								</div>
 								<div><a href="${tab.url}" class="colorize-link">${tab.url}</a></div>
 								<div>
@@ -969,10 +1341,34 @@ function updateShowTooltip(mousePos, mouseTarget) {
 									<span class="metadata-entry" data-show="${tab.metadata.pinned}"><img src="../icons/iconoir/edits/pin-solid.svg" /> Pinned</span>
 									<span class="metadata-entry" data-show="${tab.metadata.hidden}"><img src="../icons/iconoir/edits/eye-closed-dark.svg" class="only-in-dark-theme" /><img src="../icons/iconoir/edits/eye-closed-light.svg" class="only-in-light-theme" /> Hidden</span>
 								</div>
-								<div class="tooltip-tab-preview-image" data-show="${Boolean(tab.previewimageurl)}">
-									<center><img src="${tab.previewimageurl}" /></center>
+								<div class="tooltip-tab-page-text-snippets" data-show="false"></div>
+								<div class="tooltip-tab-preview-image" data-show="false">
+									<center><img /></center>
+								</div>
+							`);
+							
+							loadFavicon(tab.url, tooltipLayer.querySelector(".fav-icon-small"));
+							loadPageTextSnippets(tab.id, tooltipLayer.querySelector(".tooltip-tab-page-text-snippets"));
+							
+							const previewImageRoot = tooltipLayer.querySelector(".tooltip-tab-preview-image");
+							loadPreviewImage(tab.id, previewImageRoot.querySelector("img"), previewImageRoot);
+							break;
+						}
+						
+						case "trash": {
+							const trashEntry = await db.trash.get(parseInt(tooltipElement.closest("[data-trashentryid]").dataset.trashentryid));
+							const tab = trashEntry.tabs.find((trashedTab) => trashedTab.id === parseInt(tooltipElement.dataset.tabid));
+							tooltipLayer.insertAdjacentHTML("afterbegin", `
+								<div>
+									<span class="fav-icon-list-item" data-validimage="true"><img class="fav-icon-small" /></span><span class="tooltip-title">${escapeHTML(tab.title)}</span>
+								</div>
+								<div><a href="${tab.url}" class="colorize-link">${tab.url}</a></div>
+								<div>
+									<span class="metadata-entry"><img src="../icons/iconoir/edits/trash-solid.svg" /> Deleted: ${formatDisplayDate(trashEntry.deletiondate)}</span>
 								</div>
 							`);
+							
+							loadFavicon(tab.url, tooltipLayer.querySelector(".fav-icon-small"));
 							break;
 						}
 					}
@@ -998,6 +1394,14 @@ function updateShowTooltip(mousePos, mouseTarget) {
 					`;
 				}
 				
+				if (tooltipElement.dataset.hasdirecttabs === "true") {
+					tooltipText += `
+						<div>
+							${tooltipElement.dataset.directtabcount} tabs directly in this category
+						</div>
+					`;
+				}
+				
 				tooltipLayer.insertAdjacentHTML("afterbegin", tooltipText);
 				break;
 				
@@ -1012,6 +1416,10 @@ function updateShowTooltip(mousePos, mouseTarget) {
 						tooltipLayer.insertAdjacentHTML("afterbegin", "Convert to bookmarks");
 						break;
 						
+					case "export-group":
+						tooltipLayer.insertAdjacentHTML("afterbegin", "Export");
+						break;
+						
 					case "delete-category":
 						tooltipLayer.insertAdjacentHTML("afterbegin", "Delete category");
 						break;
@@ -1020,10 +1428,30 @@ function updateShowTooltip(mousePos, mouseTarget) {
 						tooltipLayer.insertAdjacentHTML("afterbegin", "Delete session");
 						break;
 						
+					case "edit-session-settings":
+						tooltipLayer.insertAdjacentHTML("afterbegin", "Edit session name and description");
+						break;
+						
+					case "merge-sessions":
+						tooltipLayer.insertAdjacentHTML("afterbegin", "Merge other sessions into this one");
+						break;
+						
+					case "split-session":
+						tooltipLayer.insertAdjacentHTML("afterbegin", "Split tabs off into a new session");
+						break;
+						
 					case "create-category":
 						tooltipLayer.insertAdjacentHTML("afterbegin", "Create new category");
 						break;
 						
+					case "restore-trash-entry":
+						tooltipLayer.insertAdjacentHTML("afterbegin", "Restore");
+						break;
+						
+					case "purge-trash-entry":
+						tooltipLayer.insertAdjacentHTML("afterbegin", "Delete permanently");
+						break;
+						
 					case "copy-tab-url":
 						tooltipLayer.insertAdjacentHTML("afterbegin", "Copy URL");
 						break;
@@ -1137,82 +1565,364 @@ function openTextBubble(content) {
 }
 
 
-async function editCategorySettings(categoryElement) {	
-	editCategoryDialog.showModal();
+function showUndoToast(text, buttonAction) {
+	undoToastText.textContent = text;
+	undoToastButton.dataset.action = buttonAction;
+	undoToastButton.textContent = (buttonAction === "undo" ? "Undo" : "Redo");
+	undoToast.hidden = false;
 	
-	/*
-		I assume categories have already been cached by this point,
-		and accessing the database again will be fast? I don't know
-		how Dexie works. It's possible we need to cache stuff ourselves.
-	*/
-	let category = await db.categories.get({id: parseInt(categoryElement.dataset.categoryid)});
+	clearTimeout(undoToastTimer);
 	
-	editCategoryDialog.dataset.categoryid = category.id;
-	categoryName.value = category.name;
-	categoryRule.value = (category.rule ? category.rule : "");
-	categoryColorSelector.dataset.selectedcolor = category.color;
-	categoryRuleTemplates.open = false;
+	undoToastTimer = setTimeout(() => {
+		undoToast.hidden = true;
+	}, undoToastDisplayTime);
 }
 
-async function applyCategorySettings() {
-	const ruleIsJustWhitespace = (categoryRule.value.replace(/\s/g, "").length === 0);
-	const rule = (ruleIsJustWhitespace ? undefined : categoryRule.value);
+async function runUndoableOperation(description, operation) {
+	const result = await db.recordUndoableOperation(description, operation);
 	
+	showUndoToast(description, "undo");
+	
+	return result;
+}
+
+async function deleteTabs(tabIds) {
 	try {
-		await ruleeval.validateRule(rule);
+		await runUndoableOperation(`Deleted ${tabIds.length} tab(s)`, async () => {
+			await db.deleteTabs(tabIds);
+		});
 	} catch (error) {
-		debugh.error("Auto-catch rule validity check failed: " + error);
-		ruleValidtyCheckFailedDialog.showModal();
-		autoCatchRuleError.textContent = error;
-		return false;
+		debugh.error("Deleting tabs failed:", error);
+		openTextBubble(typeof error === "string" ? escapeHTML(error) : "Deleting tabs failed!");
 	}
+}
+
+async function undoOrRedoLastOperation(isRedo) {
+	let journalEntry = null;
 	
-	const categoryId = parseInt(editCategoryDialog.dataset.categoryid);
-	let category = await db.categories.get({id: categoryId});
+	try {
+		journalEntry = (isRedo ? await db.redo() : await db.undo());
+	} catch (error) {
+		debugh.error(isRedo ? "Redo failed:" : "Undo failed:", error);
+		openTextBubble(typeof error === "string" ? escapeHTML(error) : (isRedo ? "Redo failed!" : "Undo failed!"));
+		return;
+	}
+	
+	if (journalEntry === null) {
+		openTextBubble(isRedo ? "Nothing to redo." : "Nothing to undo.");
+		return;
+	}
+	
+	incrementGroupVersion(document.querySelector("[data-iscategorieslist]"));
+	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
+	updateActionsPanel();
+	
+	if (isRedo) {
+		showUndoToast(`Redone: ${journalEntry.description}`, "undo");
+	} else {
+		showUndoToast(`Undone: ${journalEntry.description}`, "redo");
+	}
+}
+
+
+async function editCategorySettings(categoryElement) {	
+	editCategoryDialog.showModal();
+	
+	/*
+		I assume categories have already been cached by this point,
+		and accessing the database again will be fast? I don't know
+		how Dexie works. It's possible we need to cache stuff ourselves.
+	*/
+	let category = await db.categories.get({id: parseInt(categoryElement.dataset.categoryid)});
+	
+	editCategoryDialog.dataset.categoryid = category.id;
+	categoryName.value = category.name;
+	// A category can't be moved into itself or any of its own subcategories.
+	await fillCategorySelector(categoryParent, category.parentId, (categories) => [ category.id, ...db.getCategoryDescendantIds(categories, category.id) ]);
+	categoryRule.value = (category.rule ? category.rule : "");
+	categoryColorSelector.dataset.selectedcolor = category.color;
+	categoryRuleTemplates.open = false;
+	categoryPinned.checked = (category.pinned === true);
+	categoryRetentionDays.value = (Number.isInteger(category.retentionDays) ? category.retentionDays : "");
+}
+
+// Returns options for the category tree, with subcategories indented below their parents.
+function getCategoryOptionsHTML(categories, selectedValue, valuePrefix = "", excludedCategoryIds = []) {
+	let optionsHTML = "";
+	
+	function addCategoryOptionsRecursive(parentId, indentationString) {
+		const childCategories = categories.filter((childCategory) => {
+			return childCategory.parentId === parentId && !excludedCategoryIds.includes(childCategory.id);
+		}).sort(compareSortKeysReversed);
+		
+		for (const childCategory of childCategories) {
+			const value = `${valuePrefix}${childCategory.id}`;
+			const selectedString = (value === String(selectedValue) ? " selected" : "");
+			optionsHTML += `
+				<option value="${value}"${selectedString}>${indentationString}${escapeHTML(childCategory.name)}</option>
+			`;
+			
+			addCategoryOptionsRecursive(childCategory.id, indentationString + "&#x21B3;");
+		}
+	}
+	
+	addCategoryOptionsRecursive(0, "");
+	
+	return optionsHTML;
+}
+
+// Fills a select element with the category tree, preceded by a "(None)" option with the value 0.
+async function fillCategorySelector(selectElement, selectedCategoryId, getExcludedCategoryIds = (categories) => []) {
+	const categories = await groupFunctionPrimitives.categories().toArray();
+	
+	selectElement.textContent = "";
+	selectElement.insertAdjacentHTML("beforeend", `
+		<option value="0">(None)</option>
+		${getCategoryOptionsHTML(categories, selectedCategoryId, "", getExcludedCategoryIds(categories))}
+	`);
+}
+
+async function applyCategorySettings() {
+	const ruleIsJustWhitespace = (categoryRule.value.replace(/\s/g, "").length === 0);
+	const rule = (ruleIsJustWhitespace ? undefined : categoryRule.value);
+	
+	try {
+		await ruleeval.validateRule(rule);
+	} catch (error) {
+		debugh.error("Auto-catch rule validity check failed: " + error);
+		ruleValidtyCheckFailedDialog.showModal();
+		autoCatchRuleError.textContent = error;
+		return false;
+	}
+	
+	const categoryId = parseInt(editCategoryDialog.dataset.categoryid);
+	let category = await db.categories.get({id: categoryId});
 	
 	const groupElement = document.querySelector("#category-" + categoryId);
 	
+	const retentionDays = parseInt(categoryRetentionDays.value);
+	
 	const categoryUpdate = {
 		name: categoryName.value,
 		color: categoryColorSelector.dataset.selectedcolor,
-		rule: rule
+		rule: rule,
+		pinned: categoryPinned.checked,
+		retentionDays: (Number.isNaN(retentionDays) ? undefined : Math.max(retentionDays, 0))
 	}
 	
 	groupElement.setAttribute("class", groupElement.getAttribute("class").replace("colorize-" + category.color, "colorize-" + categoryUpdate.color));
 	groupElement.querySelector(".summary-title").textContent = categoryUpdate.name;
 	
-	return await db.categories.update(categoryId, categoryUpdate);
+	const parentId = parseInt(categoryParent.value);
+	
+	return await db.transaction("rw", db.categories, async (tx) => {
+		await db.categories.update(categoryId, categoryUpdate);
+		await db.setCategoryParent(categoryId, parentId);
+	});
+}
+
+
+async function editSessionSettings(sessionElement) {
+	const session = await db.getSession(parseInt(sessionElement.dataset.sessionid));
+	
+	editSessionDialog.dataset.sessionid = session.creationdate;
+	sessionCreationDate.textContent = formatDisplayDate(session.creationdate);
+	sessionName.value = (session.name ? session.name : "");
+	sessionDescription.value = (session.description ? session.description : "");
+	
+	editSessionDialog.showModal();
+}
+
+async function applySessionSettings() {
+	const sessionDate = parseInt(editSessionDialog.dataset.sessionid);
+	
+	const sessionUpdate = {
+		name: sessionName.value.trim(),
+		description: sessionDescription.value.trim()
+	}
+	
+	await db.sessions.update(sessionDate, sessionUpdate);
+	
+	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
 }
 
 
-async function confirmCategoryDeletion(categoryId, deleteContainedTabs) {
-	if (deleteContainedTabs) {
-		const tabsToDelete = await db.tabs.where("categories").equals(categoryId).toArray();
+async function openMergeSessionsDialog(sessionElement) {
+	const targetSession = await db.getSession(parseInt(sessionElement.dataset.sessionid));
+	const sessions = await sortedQuery(groupFunctionPrimitives.sessions().toArray(), compareSortKeysReversed);
+	
+	mergeSessionsDialog.dataset.sessionid = targetSession.creationdate;
+	mergeSessionsTargetName.textContent = getSessionDisplayName(targetSession);
+	mergeSessionsList.textContent = "";
+	
+	for (const session of sessions) {
+		if (session.creationdate === targetSession.creationdate) {
+			continue;
+		}
+		
+		mergeSessionsList.insertAdjacentHTML("beforeend", `
+			<li>
+				<input type="checkbox" id="mergeSession-${session.creationdate}" data-sessionid="${session.creationdate}"/>
+				<label for="mergeSession-${session.creationdate}">${escapeHTML(getSessionDisplayName(session))}</label>
+			</li>
+		`);
+	}
+	
+	mergeSessionsDialog.showModal();
+}
+
+async function confirmMergeSessions() {
+	const targetSessionDate = parseInt(mergeSessionsDialog.dataset.sessionid);
+	const sourceSessionDates = Array.from(mergeSessionsList.querySelectorAll("input:checked")).map((checkbox) => {
+		return parseInt(checkbox.dataset.sessionid);
+	});
+	
+	if (sourceSessionDates.length === 0) {
+		return;
+	}
+	
+	try {
+		await runUndoableOperation(`Merged ${sourceSessionDates.length} session(s)`, async () => {
+			await db.mergeSessions(targetSessionDate, sourceSessionDates);
+		});
+	} catch (error) {
+		debugh.error("Merging sessions failed:", error);
+		openTextBubble("Merging sessions failed!");
+	}
+	
+	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
+}
+
+async function openSplitSessionDialog(sessionElement) {
+	const session = await db.getSession(parseInt(sessionElement.dataset.sessionid));
+	
+	// Splitting by window always includes all tabs of that window, regardless of the search filter.
+	const tabs = await sortedQuery(groupFunctionPrimitives.tabsInSession(session.creationdate).toArray(), compareSortKeys);
+	
+	const selectedTabIds = currentlySelectedTabElements.filter((tabElement) => {
+		return tabElement.closest("[data-sessionid]") === sessionElement;
+	}).map((tabElement) => {
+		return parseInt(tabElement.dataset.tabid);
+	});
+	
+	// The middle part of a tab's sortkey is the ID of the window it was archived from.
+	const tabIdsByWindow = new Map();
+	for (const tab of tabs) {
+		const windowId = tab.sortkey.keyMid;
+		
+		if (!tabIdsByWindow.has(windowId)) {
+			tabIdsByWindow.set(windowId, []);
+		}
 		
-		const justKeys = tabsToDelete.map((tab) => tab.id);
-		await db.deleteTabs(justKeys);
+		tabIdsByWindow.get(windowId).push(tab.id);
+	}
+	
+	splitSessionDialog.dataset.sessionid = session.creationdate;
+	splitSessionSourceName.textContent = getSessionDisplayName(session);
+	splitSessionTabsSelect.textContent = "";
+	splitSessionTabIds = {};
+	
+	if (selectedTabIds.length > 0) {
+		splitSessionTabIds.selected = selectedTabIds;
+		splitSessionTabsSelect.insertAdjacentHTML("beforeend", `
+			<option value="selected">Selected tabs (${selectedTabIds.length})</option>
+		`);
 	}
 	
-	await db.deleteCategory(categoryId);
+	let windowNumber = 1;
+	for (const tabIds of tabIdsByWindow.values()) {
+		splitSessionTabIds[`window-${windowNumber}`] = tabIds;
+		splitSessionTabsSelect.insertAdjacentHTML("beforeend", `
+			<option value="window-${windowNumber}">Tabs from window ${windowNumber} (${tabIds.length})</option>
+		`);
+		++windowNumber;
+	}
+	
+	splitSessionDialog.showModal();
+}
+
+async function confirmSplitSession() {
+	const sessionDate = parseInt(splitSessionDialog.dataset.sessionid);
+	const tabIds = splitSessionTabIds[splitSessionTabsSelect.value];
+	splitSessionTabIds = {};
+	
+	if (tabIds === undefined || tabIds.length === 0) {
+		return;
+	}
+	
+	try {
+		await runUndoableOperation(`Split ${tabIds.length} tab(s) into a new session`, async () => {
+			await db.splitSession(sessionDate, tabIds);
+		});
+	} catch (error) {
+		debugh.error("Splitting session failed:", error);
+		openTextBubble("Splitting session failed!");
+	}
+	
+	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
+}
+
+
+async function confirmCategoryDeletion(categoryId, deleteContainedTabs) {
+	try {
+		await runUndoableOperation("Deleted category", async () => {
+			await db.deleteCategory(categoryId, deleteContainedTabs);
+		});
+	} catch (error) {
+		debugh.error("Deleting category failed:", error);
+		openTextBubble(typeof error === "string" ? escapeHTML(error) : "Deleting category failed!");
+	}
 	
 	incrementGroupVersion(document.querySelector("[data-iscategorieslist]"));
 }
 
 
 async function confirmSessionDeletion(sessionDate, deleteContainedTabs) {
-	if (deleteContainedTabs) {
-		const tabsToDelete = await db.tabs.where("sessions").equals(sessionDate).toArray();
-		
-		const justKeys = tabsToDelete.map((tab) => tab.id);
-		await db.deleteTabs(justKeys);
+	try {
+		await runUndoableOperation("Deleted session", async () => {
+			await db.deleteSession(sessionDate, deleteContainedTabs);
+		});
+	} catch (error) {
+		debugh.error("Deleting session failed:", error);
+		openTextBubble(typeof error === "string" ? escapeHTML(error) : "Deleting session failed!");
 	}
 	
-	await db.deleteSession(sessionDate);
+	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
+}
+
+
+async function restoreTrashEntry(trashEntryId) {
+	try {
+		await db.restoreFromTrash(trashEntryId);
+	} catch (error) {
+		debugh.error("Restoring trash entry failed:", error);
+		openTextBubble(typeof error === "string" ? escapeHTML(error) : "Restoring from the trash failed!");
+		// The entry might be gone already, like when the trash was emptied in the background.
+		incrementGroupVersion(document.querySelector("[data-istrashentrieslist]"));
+		return;
+	}
 	
+	incrementGroupVersion(document.querySelector("[data-iscategorieslist]"));
 	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
 }
 
 
+async function confirmTrashPurge(trashEntryId) {
+	try {
+		if (trashEntryId === undefined) {
+			await db.emptyTrash();
+		} else {
+			await db.purgeFromTrash(parseInt(trashEntryId));
+		}
+	} catch (error) {
+		debugh.error("Purging the trash failed:", error);
+		openTextBubble(typeof error === "string" ? escapeHTML(error) : "Purging the trash failed!");
+	}
+	
+	incrementGroupVersion(document.querySelector("[data-istrashentrieslist]"));
+}
+
+
 function selectColor(clickedSelector) {
 	clickedSelector.closest("[data-selectedcolor]").setAttribute("data-selectedcolor", clickedSelector.closest("[data-color]").getAttribute("data-color"));
 }
@@ -1630,7 +2340,9 @@ document.addEventListener("load", (e) => {
 
 document.addEventListener("change", (e) => {
 	if (e.target.tagName == "SELECT") {
-		if (e.target.id == "categoryTemplateType") {
+		if (e.target === exportFormat || e.target === exportScope) {
+			updateExportOptionsVisibility();
+		} else if (e.target.id == "categoryTemplateType") {
 			const optionsUsingTextField = ["equal-to", "contains", "doesnt-contain", "starts-with", "ends-with", "matches-regex"];
 			const optionsUsingCaptureGrous = ["matches-regex"];
 			
@@ -1640,6 +2352,24 @@ document.addEventListener("change", (e) => {
 	} else if (e.target.tagName == "INPUT") {
 		if (e.target == bookmarkConversionCreateDirectory) {
 			bookmarkConversionCreateDirectoryName.disabled = !bookmarkConversionCreateDirectory.checked;
+		} else if (e.target === duplicateTabsUseNormalizedUrls) {
+			refreshDuplicateTabsList();
+		} else if (e.target === encryptExport || e.target === exportAllGroups) {
+			updateExportOptionsVisibility();
+		} else if (e.target.dataset.folderpath !== undefined) {
+			updateBookmarkImportCount();
+		}
+	} else if (e.target === singleTabDetailsNote) {
+		if (currentlySelectedTabElements.length === 1) {
+			const tabId = parseInt(currentlySelectedTabElements[0].dataset.tabid);
+			const note = singleTabDetailsNote.value;
+			
+			runUndoableOperation("Edited note", async () => {
+				await db.setTabNote(tabId, note);
+			}).catch((error) => {
+				debugh.error("Editing note failed:", error);
+				openTextBubble(typeof error === "string" ? escapeHTML(error) : "Editing note failed!");
+			});
 		}
 	} else if (e.target === filterText) {
 		// We'll only do this on input, so that exiting the search filter doesn't activate this.
@@ -1656,7 +2386,7 @@ document.addEventListener("input", (e) => {
 });
 
 function createTabsListForDragAndDrop(group, tabsList) {
-	const tabsListForDragAndDrop = group.querySelector(".tabs-list-for-drag-and-drop");
+	const tabsListForDragAndDrop = tabsList.parentElement.querySelector(":scope > .tabs-list-for-drag-and-drop");
 	tabsListForDragAndDrop.textContent = "";
 	
 	const tabsListChildren = tabsList.querySelectorAll("li");
@@ -1704,6 +2434,11 @@ async function populateTabListGroup(group) {
 			// This is an unsorted tab list
 			accessor = "unsortedTabs";
 			supportsReorderTabs = true;
+		} else if (group.dataset.istrashentry) {
+			// This is an entry in the trash
+			accessor = "tabsInTrashEntry";
+			queryArgument = parseInt(group.dataset.trashentryid);
+			actionSet = "none";
 		} else if (group.dataset.istestautocatchrulecaughttabs) {
 			// Auto-catch rule test results: Caught tabs
 			accessor = "tabsInTestAutoCatchRuleCaughtTabs";
@@ -1773,7 +2508,7 @@ async function populateTabListGroup(group) {
 				receivedVersion = queriedVersion;
 				group.dataset.receivedversion = receivedVersion;
 				
-				const tabsList = group.querySelector(".tabs-list");
+				const tabsList = group.querySelector(":scope > .group-content-setup-root > .group-contents > .tabs-list");
 				tabsList.textContent = "";
 				flushMutationsQueue(group);
 				
@@ -1793,19 +2528,25 @@ async function populateTabListGroup(group) {
 					}
 					
 					let tabIdString = "";
+					let favIconString = "";
+					let usesCachedFavicon = false;
 					
 					switch (group.dataset.metadata_storagelocation) {
 						case "openTabs":
 							tabIdString = `data-windowid="${tab.metadata.windowId}" data-tabid="${tab.metadata.id}"`;
+							favIconString = `<span class="fav-icon-list-item" data-validimage="${tab.metadata.favIconUrl !== undefined}"><img src="${tab.metadata.favIconUrl}" class="fav-icon-small"/></span>`;
 							break;
 						case "archivedTabs":
+						case "trash":
 							tabIdString = `data-tabid="${tab.id}"`;
+							favIconString = `<span class="fav-icon-list-item" data-validimage="true"><img class="fav-icon-small"/></span>`;
+							usesCachedFavicon = true;
 							break;
 					}
 					
 					tabsList.insertAdjacentHTML("beforeend", `
 						<li id="tab-entry-${group.id}-${tab.id}" class="tab-entry has-tooltip colorize-${color}" ${tabIdString} tabindex="0" data-focuscount="0" data-hasfocus="false" data-droptargetindex="${dropTargetIndex}" data-storagelocation=${group.dataset.metadata_storagelocation} ${supportsReorderTabs ? 'draggable="true"' : ''}>
-							<span class="fav-icon-list-item" data-validimage="${tab.metadata.favIconUrl !== undefined}"><img src="${tab.metadata.favIconUrl}" class="fav-icon-small"/></span>
+							${favIconString}
 							<span class="overlap overlapping-content">
 								<span class="title">${escapeHTML(tab.title)}</span>
 								<span class="actions" ${actionSet === "none" ? "hidden" : ""}>
@@ -1829,6 +2570,10 @@ async function populateTabListGroup(group) {
 					newElement.setAttribute("data-tooltiptype", "tab");
 					newElement.setAttribute("data-sortkey", JSON.stringify(tab.sortkey));
 					
+					if (usesCachedFavicon) {
+						loadFavicon(tab.url, newElement.querySelector(".fav-icon-small"));
+					}
+					
 					++dropTargetIndex;
 				}
 				
@@ -1844,22 +2589,27 @@ async function populateTabListGroup(group) {
 }
 
 function createGroupsListForDragAndDrop(group, groupsList) {
-	const groupsListForDragAndDrop = group.querySelector(".groups-list-for-drag-and-drop");
+	const groupsListForDragAndDrop = groupsList.parentElement.querySelector(":scope > .groups-list-for-drag-and-drop");
 	groupsListForDragAndDrop.textContent = "";
 	
-	const groupsListChildren = groupsList.querySelectorAll("details");
+	const groupsListChildren = groupsList.querySelectorAll(":scope > details");
 	
 	let dropTargetIndex = 0;
 	for (const groupsListChild of groupsListChildren) {
 		const clonedNode = groupsListChild.cloneNode(true);
-		clonedNode.setAttribute("id", clonedNode.getAttribute("id") + "-for-drag-and-drop");
 		
-		// Should prevent the respective group from trying to populate automatically or show a spinner.
-		if (clonedNode.hasAttribute("data-istablist")) {
-			clonedNode.removeAttribute("data-istablist");
-		}
-		if (clonedNode.hasAttribute("data-isgrouplist")) {
-			clonedNode.removeAttribute("data-isgrouplist");
+		// Nested groups (like subcategories) get cloned along with their parent,
+		// so this has to be done for all of them.
+		for (const clonedGroup of [clonedNode, ...clonedNode.querySelectorAll("details")]) {
+			clonedGroup.setAttribute("id", clonedGroup.getAttribute("id") + "-for-drag-and-drop");
+			
+			// Should prevent the respective group from trying to populate automatically or show a spinner.
+			if (clonedGroup.hasAttribute("data-istablist")) {
+				clonedGroup.removeAttribute("data-istablist");
+			}
+			if (clonedGroup.hasAttribute("data-isgrouplist")) {
+				clonedGroup.removeAttribute("data-isgrouplist");
+			}
 		}
 		
 		const spinnerElement = clonedNode.querySelector(":scope > .group-content-setup-root > .spinner-root");
@@ -1884,6 +2634,7 @@ async function populateGroupListGroup(group) {
 		
 		let idPrefix = undefined;
 		let accessor = undefined;
+		let queryArgument = undefined;
 		let innerAccessor = undefined;
 		let queryCountIdAccessor = undefined;
 		let getGroupPropertiesFunction = undefined;
@@ -1898,6 +2649,8 @@ async function populateGroupListGroup(group) {
 		if (group.dataset.iscategorieslist) {
 			idPrefix = "category";
 			accessor = "categories";
+			// The root categories list contains the top-level categories, nested lists contain subcategories.
+			queryArgument = (group.dataset.parentcategoryid !== undefined ? parseInt(group.dataset.parentcategoryid) : 0);
 			innerAccessor = "tabsInCategory";
 			getGroupPropertiesFunction = getCategoryProperties;
 			supportsReorderGroups = true;
@@ -1907,6 +2660,12 @@ async function populateGroupListGroup(group) {
 			innerAccessor = "tabsInSession";
 			getGroupPropertiesFunction = getSessionProperties;
 			supportsReorderGroups = true;
+		} else if (group.dataset.istrashentrieslist) {
+			idPrefix = "trashentry";
+			accessor = "trashEntries";
+			innerAccessor = "tabsInTrashEntry";
+			getGroupPropertiesFunction = getTrashEntryProperties;
+			groupMetaData.context = "trash";
 		} else if (group.dataset.istestautocatchrulecaughttabslist) {
 			idPrefix = "testautocatchrulecaughttabs";
 			accessor = idPrefix;
@@ -1941,7 +2700,11 @@ async function populateGroupListGroup(group) {
 		const innerGroupFunctions = groupFunctionLookup[innerAccessor];
 		
 		if (!activeLiveQuerySubscriptions[group.id]) {
-			const observable = db.newLiveQuery(groupFunctions.query);
+			function queryFunctionWithArgument() {
+				return groupFunctions.query(queryArgument);
+			}
+			
+			const observable = db.newLiveQuery(queryFunctionWithArgument);
 			activeLiveQuerySubscriptions[group.id] = observable.subscribe({
 				next: (result) => incrementGroupVersion(group),
 				error: (error) => debugh.error(`Live query for group ${group.id} failed: ${error}`)
@@ -1954,7 +2717,7 @@ async function populateGroupListGroup(group) {
 		
 		showSpinnerAnimation(group);
 		
-		groupFunctions.query().then((innerGroupDatas) => {
+		groupFunctions.query(queryArgument).then((innerGroupDatas) => {
 			// Additional brief timer to prevent the spinner from ever
 			// disappearing so quickly that the UI just appears glitchy.
 			new Promise(r => setTimeout(r, minimumSpinnerDisplayTime)).then(() => {
@@ -1973,7 +2736,7 @@ async function populateGroupListGroup(group) {
 				receivedVersion = queriedVersion;
 				group.dataset.receivedversion = receivedVersion;
 				
-				let innerGroupsList = group.querySelector(".groups-list");
+				let innerGroupsList = group.querySelector(":scope > .group-content-setup-root > .group-contents > .groups-list");
 				innerGroupsList.textContent = "";
 				flushMutationsQueue(group);
 				
@@ -1989,6 +2752,10 @@ async function populateGroupListGroup(group) {
 					}
 					initializeEntryCountLiveQuery(innerGroup, innerGroupFunctions, queryCountArgument);
 					
+					if (innerGroupData.hasSubcategories) {
+						initializeSubcategoriesGroup(innerGroup, innerGroupData.color);
+					}
+					
 					if (openGroups[innerGroup.id]) {
 						innerGroup.open = true;
 					}
@@ -2437,8 +3204,8 @@ document.addEventListener("dragstart", (e) => {
 			// have a bug elsewhere.
 			const groupsList = container.querySelector(":scope > .groups-list");
 			
-			const groupsListChildren = groupsList.querySelectorAll("details");
-			const groupsListForDragAndDropChildren = groupsListForDragAndDrop.querySelectorAll("details");
+			const groupsListChildren = groupsList.querySelectorAll(":scope > details");
+			const groupsListForDragAndDropChildren = groupsListForDragAndDrop.querySelectorAll(":scope > details");
 			
 			for (let childIdx = 0; childIdx < groupsListChildren.length; ++childIdx) {
 				const sourceGroup = groupsListChildren[childIdx];
@@ -2451,8 +3218,8 @@ document.addEventListener("dragstart", (e) => {
 					targetGroup.dataset.receivedversion = sourceGroup.dataset.version;
 					
 					if (targetGroup.dataset.receivedversion === targetGroup.dataset.queriedversion) {
-						const sourceTabsList = sourceGroup.querySelector(".tabs-list");
-						const targetTabsList = targetGroup.querySelector(".tabs-list");
+						const sourceTabsList = sourceGroup.querySelector(":scope > .group-content-setup-root > .group-contents > .tabs-list");
+						const targetTabsList = targetGroup.querySelector(":scope > .group-content-setup-root > .group-contents > .tabs-list");
 						
 						const sourceTabsListChildren = sourceTabsList.children;
 						
@@ -2544,8 +3311,15 @@ async function finishMoveTabs() {
 		tabsToWrite.push(tabToWrite);
 	}
 	
-	await db.transaction("rw", db.tabs, db.sessions, async (tx) => {
-		await db.tabs.bulkPut(tabsToWrite);
+	const operationDescription = `${removeFromSourceGroup ? "Moved" : "Copied"} ${tabsToWrite.length} tab(s)`;
+	
+	await runUndoableOperation(operationDescription, async () => {
+		const writtenTabIds = await db.tabs.bulkPut(tabsToWrite, { allKeys: true });
+		
+		if (createNewInTargetGroup) {
+			// Copies are new entries, so they need copies of the preview images and page texts as well.
+			await db.copyTabAttachments(idsOfTabsToMove, writtenTabIds);
+		}
 	
 		if (removeFromSourceGroup && sourceGroupType === "sessions") {
 			await db.deleteSessionIfNoLongerNeeded(sourceGroupId);
@@ -2647,12 +3421,20 @@ document.addEventListener("dragend", async (e) => {
 			
 			const groupsList = currentDragParent.querySelector(":scope > .groups-list");
 			if (groupsList !== null) {
-				// This is pretty much the same logic as above, just for groups instead of tabs.
-				if (currentlyDraggedGroupElement !== null) {
+				if (currentlyDraggedGroupElement !== null && categoryHoveredOverForNesting !== null) {
+					// The group was dropped onto another category rather than next to it.
+					await nestCategory(parseInt(currentlyDraggedGroupElement.dataset.categoryid), parseInt(categoryHoveredOverForNesting.dataset.categoryid));
+					
+					await waitUntilGroupUpToDate(currentDragParent.closest("details"));
+					
+					// Groups hovered over on the way might have been reordered already.
+					createGroupsListForDragAndDrop(currentDragParent, groupsList);
+				} else if (currentlyDraggedGroupElement !== null) {
+					// This is pretty much the same logic as above, just for groups instead of tabs.
 					const groupsListForDragAndDrop = currentDragParent.querySelector(":scope > .groups-list-for-drag-and-drop");
 		
-					const groupsListChildren = groupsList.querySelectorAll("details");
-					const groupsListForDragAndDropChildren = groupsListForDragAndDrop.querySelectorAll("details");
+					const groupsListChildren = groupsList.querySelectorAll(":scope > details");
+					const groupsListForDragAndDropChildren = groupsListForDragAndDrop.querySelectorAll(":scope > details");
 					
 					let idAccessor = undefined;
 					let dbAccessor = undefined;
@@ -2711,6 +3493,8 @@ document.addEventListener("dragend", async (e) => {
 		currentDragParent = null;
 	}
 	
+	updateCategoryHoveredOverForNesting(null);
+	
 	for (const currentlyDraggedElement of currentlyDraggedElements) {
 		currentlyDraggedElement.dataset.dragtarget = false;
 	}
@@ -2718,6 +3502,33 @@ document.addEventListener("dragend", async (e) => {
 	currentlyDraggedElements.length = 0;
 });
 
+function updateCategoryHoveredOverForNesting(categoryElement) {
+	if (categoryElement === categoryHoveredOverForNesting) {
+		return;
+	}
+	
+	if (categoryHoveredOverForNesting !== null) {
+		categoryHoveredOverForNesting.querySelector(":scope > summary > .group-insert-indicator").classList.remove("hovering-for-moving");
+	}
+	
+	categoryHoveredOverForNesting = categoryElement;
+	
+	if (categoryHoveredOverForNesting !== null) {
+		categoryHoveredOverForNesting.querySelector(":scope > summary > .group-insert-indicator").classList.add("hovering-for-moving");
+	}
+}
+
+async function nestCategory(categoryId, parentCategoryId) {
+	try {
+		await runUndoableOperation("Moved category into another category", async () => {
+			await db.setCategoryParent(categoryId, parentCategoryId);
+		});
+	} catch (error) {
+		debugh.error("Nesting category failed:", error);
+		openTextBubble(escapeHTML(error.toString()));
+	}
+}
+
 document.addEventListener("dragover", (e) => {
 	// No tooltips while dragging.
 	hideTooltip();
@@ -2752,6 +3563,10 @@ document.addEventListener("dragover", (e) => {
 			e.clientX <= rect.right &&
 			e.clientY >= rect.top &&
 			e.clientY <= rect.bottom;
+		
+		if (!insideParent || e.target.dataset.droptargetindex === undefined) {
+			updateCategoryHoveredOverForNesting(null);
+		}
 	
 		if (insideParent) {
 			e.preventDefault();
@@ -2792,18 +3607,31 @@ document.addEventListener("dragover", (e) => {
 					const groupsListForDragAndDrop = e.target.closest(".groups-list-for-drag-and-drop");
 					if (groupsListForDragAndDrop !== null && e.target != currentlyDraggedGroupElement) {
 						const targetRect = e.target.getBoundingClientRect();
+						
+						// Categories can also be nested by dropping them onto the middle of another category.
+						const nestingAreaWidth = (e.target.dataset.categoryid !== undefined ? targetRect.width * 0.5 : 0);
+						const nestingAreaLeft = targetRect.left + ((targetRect.width - nestingAreaWidth) * 0.5);
+						const nestingAreaRight = nestingAreaLeft + nestingAreaWidth;
 	
 						const overlapsTargetLeft =
 							e.clientX >= targetRect.left &&
-							e.clientX < targetRect.left + (targetRect.width * 0.5) &&
+							e.clientX < nestingAreaLeft &&
+							e.clientY >= targetRect.top &&
+							e.clientY <= targetRect.bottom;
+						
+						const overlapsTargetCenter =
+							e.clientX >= nestingAreaLeft &&
+							e.clientX < nestingAreaRight &&
 							e.clientY >= targetRect.top &&
 							e.clientY <= targetRect.bottom;
 	
 						const overlapsTargetRight =
-							e.clientX >= targetRect.left + (targetRect.width * 0.5) &&
+							e.clientX >= nestingAreaRight &&
 							e.clientX <= targetRect.right &&
 							e.clientY >= targetRect.top &&
 							e.clientY <= targetRect.bottom;
+						
+						updateCategoryHoveredOverForNesting(overlapsTargetCenter ? e.target : null);
 
 						if (overlapsTargetLeft) {
 							groupsListForDragAndDrop.insertBefore(currentlyDraggedGroupElement, e.target);
@@ -2849,7 +3677,45 @@ document.addEventListener("focusout", (e) => {
 	}
 });
 
+async function addTagsFromInput() {
+	if (currentlySelectedTabElements.length !== 1) {
+		return;
+	}
+	
+	const tabId = parseInt(currentlySelectedTabElements[0].dataset.tabid);
+	const tags = singleTabDetailsNewTag.value.split(",");
+	singleTabDetailsNewTag.value = "";
+	
+	try {
+		await runUndoableOperation("Added tag(s)", async () => {
+			await db.addTabTags([ tabId ], tags);
+		});
+	} catch (error) {
+		debugh.error("Adding tags failed:", error);
+		openTextBubble(typeof error === "string" ? escapeHTML(error) : "Adding tags failed!");
+	}
+}
+
 document.addEventListener("keydown", (e) => {
+	if (e.target === singleTabDetailsNewTag) {
+		if (e.code == "Enter" || e.code == "NumpadEnter") {
+			addTagsFromInput();
+			e.preventDefault();
+		}
+		
+		return;
+	}
+	
+	if ((e.ctrlKey || e.metaKey) && e.code == "KeyZ") {
+		// Text inputs and dialogs keep their own undo behavior.
+		if (e.target.closest("input, textarea, dialog") === null) {
+			undoOrRedoLastOperation(e.shiftKey);
+			e.preventDefault();
+		}
+		
+		return;
+	}
+	
 	if (e.code == "Space" || e.code == "Enter") {
 		if (document.activeElement != null && document.activeElement.hasAttribute("tabindex")) {
 			// This won't do, because it won't trasmit the status of our modifier keys.
@@ -2968,8 +3834,8 @@ async function updateActionsPanel() {
 		const tab = await queryTab();
 		tabs = [ tab ];
 		
-		singleTabDetailsFavIcon.setAttribute("src", tab.metadata.favIconUrl);
-		singleTabDetailsFavIconRoot.dataset.validimage = (tab.metadata.favIconUrl !== undefined);
+		loadFavicon(tab.url, singleTabDetailsFavIcon);
+		singleTabDetailsFavIconRoot.dataset.validimage = true;
 		
 		singleTabDetailsTitle.textContent = tab.metadata.title;
 		
@@ -2979,8 +3845,7 @@ async function updateActionsPanel() {
 		singleTabActionsPreview.hidden = false;
 		multiTabActionsPreview.hidden = true;
 		
-		singleTabDetailsPreviewImage.setAttribute("src", tab.previewimageurl);
-		singleTabDetailsPreviewImageRoot.dataset.show = (tab.previewimageurl !== undefined);
+		loadPreviewImage(tab.id, singleTabDetailsPreviewImage, singleTabDetailsPreviewImageRoot);
 		
 		singleTabDetailsDatabaseTabId.textContent = tab.id;
 		singleTabDetailsBrowserWindowId.textContent = tab.metadata.windowId;
@@ -2989,6 +3854,9 @@ async function updateActionsPanel() {
 		singleTabDetailsPinned.dataset.show = tab.metadata.pinned;
 		singleTabDetailsHidden.dataset.show = tab.metadata.hidden;
 		
+		populateArchivalHistory(tab);
+		populateTabAnnotations(tab);
+		
 		const observable = db.newLiveQuery(async () => {
 			await queryCategories();
 			await querySessions();
@@ -3042,6 +3910,64 @@ async function updateActionsPanel() {
 	sharedTabActionsRoot.hidden = false;
 }
 
+function getArchivalOriginDisplayName(origin) {
+	switch (origin) {
+		case "popup":
+			return "Popup";
+			
+		case "popup-manual-selection":
+			return "Popup (selected tabs)";
+			
+		case "session-restore":
+			return "Session restore";
+			
+		case "import":
+			return "Import";
+			
+		case "idle-tabs":
+			return "Idle tabs";
+	}
+	
+	return "Unknown";
+}
+
+function populateArchivalHistory(tab) {
+	singleTabDetailsHistory.textContent = "";
+	
+	const history = (tab.history ? tab.history : []);
+	
+	singleTabDetailsArchivalCount.textContent = history.length;
+	
+	// Newest entries first - those are usually the ones we care about.
+	for (const historyEntry of history.toReversed()) {
+		const sessionText = (historyEntry.sessionDate !== undefined ? formatDisplayDate(historyEntry.sessionDate) : "Unknown");
+		
+		singleTabDetailsHistory.insertAdjacentHTML("beforeend", `
+			<li class="archival-history-entry">
+				<div class="archival-history-date">${formatDisplayDate(historyEntry.timestamp)}</div>
+				<div class="archival-history-details">Origin: ${getArchivalOriginDisplayName(historyEntry.origin)}</div>
+				<div class="archival-history-details">Session: ${sessionText}</div>
+				<div class="archival-history-details">Title: ${escapeHTML(historyEntry.title)}</div>
+			</li>
+		`);
+	}
+}
+
+function populateTabAnnotations(tab) {
+	// Don't overwrite a note that's currently being edited.
+	if (document.activeElement !== singleTabDetailsNote) {
+		singleTabDetailsNote.value = tab.note;
+	}
+	
+	singleTabDetailsTags.textContent = "";
+	
+	for (const tag of tab.tags) {
+		singleTabDetailsTags.insertAdjacentHTML("beforeend", `
+			<span class="tab-tag">${escapeHTML(tag)}<button type="button" class="tab-tag-remove-button" data-action="actions-remove-tag" data-tag="${escapeHTML(tag)}">&#x2715;</button></span>
+		`);
+	}
+}
+
 function updateSelectedTabElementIds() {
 	currentlySelectedTabElementIds = currentlySelectedTabElements.map((element) => { return element.id; });
 }
@@ -3129,16 +4055,30 @@ function getBookmarkDirectoriesRecursive(bookmarkNodes, directories, path) {
 	}
 }
 
-async function convertTabsToBookmarks(tabs, defaultDirectoryName) {
-	debugh.log("Coverting", tabs.length, "tabs to bookmarks.");
-	debugh.logVerbose("Tab details:", tabs);
+// Subdirectories are optional and mirror nested groups (like subcategories).
+// Each one has a title, a list of tabs and subdirectories of its own.
+function countTabsInBookmarkSubdirectories(subdirectories) {
+	let tabCount = 0;
 	
-	if (tabs.length === 0) {
-		convertToBookmarksNoSelectionDialog.showModal();
-		return;
+	for (const subdirectory of subdirectories) {
+		tabCount += subdirectory.tabs.length + countTabsInBookmarkSubdirectories(subdirectory.subdirectories);
 	}
 	
-	const bookmarkNodes = await browser.bookmarks.getTree();
+	return tabCount;
+}
+
+async function convertTabsToBookmarks(tabs, defaultDirectoryName, subdirectories = []) {
+	const totalTabCount = tabs.length + countTabsInBookmarkSubdirectories(subdirectories);
+	
+	debugh.log("Coverting", totalTabCount, "tabs to bookmarks.");
+	debugh.logVerbose("Tab details:", tabs, subdirectories);
+	
+	if (totalTabCount === 0) {
+		convertToBookmarksNoSelectionDialog.showModal();
+		return;
+	}
+	
+	const bookmarkNodes = await browser.bookmarks.getTree();
 	
 	const bookmarkDirectories = [];
 	getBookmarkDirectoriesRecursive(bookmarkNodes, bookmarkDirectories, "");
@@ -3156,37 +4096,25 @@ async function convertTabsToBookmarks(tabs, defaultDirectoryName) {
 		`);
 	}
 	
-	convertToBookmarksTabCount.textContent = tabs.length;
+	convertToBookmarksTabCount.textContent = totalTabCount;
 	bookmarkConversionCreateDirectory.checked = defaultCreateDirectory;
 	bookmarkConversionCreateDirectoryName.disabled = !defaultCreateDirectory;
 	bookmarkConversionCreateDirectoryName.value = defaultDirectoryName;
 	bookmarkConversionAlsoDeletesTabs.checked = false;
 	tabsToBookmark = tabs;
+	subdirectoriesToBookmark = subdirectories;
 	
 	convertToBookmarksDialog.showModal();
 }
 
-async function confirmConvertTabsToBookmarks(tabs) {
+async function confirmConvertTabsToBookmarks(tabs, subdirectories) {
 	const uniqueErrors = new Set();
 	const successfullyConvertedTabIds = [];
-		
-	try {
-		let parentDirectoryId = convertToBookmarksTargetDirectory.value;
-		
-		if (bookmarkConversionCreateDirectory.checked) {
-			const parentDirectoryNodeChildren = await browser.bookmarks.getChildren(parentDirectoryId);
-			
-			parentDirectoryId = (await browser.bookmarks.create({
-				index: parentDirectoryNodeChildren.length,
-				parentId: parentDirectoryId,
-				title: bookmarkConversionCreateDirectoryName.value,
-				type: "folder"
-			})).id;
-		}
-		
-		// This code is not particularly performant right now. We could parallelize all those
-		// Creation calls and only have a single wait at the end, but whatever. This solution is
-		// slightly simpler and probably good enough.
+	
+	// This code is not particularly performant right now. We could parallelize all those
+	// Creation calls and only have a single wait at the end, but whatever. This solution is
+	// slightly simpler and probably good enough.
+	async function createBookmarksRecursive(parentDirectoryId, tabs, subdirectories) {
 		for (const tab of tabs) {
 			try {
 				const parentDirectoryNodeChildren = await browser.bookmarks.getChildren(parentDirectoryId);
@@ -3199,12 +4127,49 @@ async function confirmConvertTabsToBookmarks(tabs) {
 					url: tab.url
 				});
 				
-				successfullyConvertedTabIds.push(tab.id);
+				// Tabs can be in several of the converted groups, but only need to be deleted once.
+				if (!successfullyConvertedTabIds.includes(tab.id)) {
+					successfullyConvertedTabIds.push(tab.id);
+				}
 			} catch (error) {
 				uniqueErrors.add(error.toString());
 			}
 		}
 		
+		for (const subdirectory of subdirectories) {
+			try {
+				const parentDirectoryNodeChildren = await browser.bookmarks.getChildren(parentDirectoryId);
+				
+				const subdirectoryId = (await browser.bookmarks.create({
+					index: parentDirectoryNodeChildren.length,
+					parentId: parentDirectoryId,
+					title: subdirectory.title,
+					type: "folder"
+				})).id;
+				
+				await createBookmarksRecursive(subdirectoryId, subdirectory.tabs, subdirectory.subdirectories);
+			} catch (error) {
+				uniqueErrors.add(error.toString());
+			}
+		}
+	}
+		
+	try {
+		let parentDirectoryId = convertToBookmarksTargetDirectory.value;
+		
+		if (bookmarkConversionCreateDirectory.checked) {
+			const parentDirectoryNodeChildren = await browser.bookmarks.getChildren(parentDirectoryId);
+			
+			parentDirectoryId = (await browser.bookmarks.create({
+				index: parentDirectoryNodeChildren.length,
+				parentId: parentDirectoryId,
+				title: bookmarkConversionCreateDirectoryName.value,
+				type: "folder"
+			})).id;
+		}
+		
+		await createBookmarksRecursive(parentDirectoryId, tabs, subdirectories);
+		
 		if (successfullyConvertedTabIds.length > 0 && bookmarkConversionAlsoDeletesTabs.checked) {
 			try {
 				db.deleteTabs(successfullyConvertedTabIds);
@@ -3244,6 +4209,29 @@ async function convertTabElementToBookmark(tabElement) {
 	convertTabsToBookmarks(tabs, defaultDirectoryName);
 }
 
+async function getSubcategoryBookmarkDirectories(parentId, categories) {
+	const subdirectories = [];
+	
+	const childCategories = categories.filter((category) => {
+		return category.parentId === parentId;
+	}).sort(compareSortKeysReversed);
+	
+	for (const childCategory of childCategories) {
+		const subdirectory = {
+			title: childCategory.name,
+			tabs: await groupFunctionLookup.tabsInCategory.query(childCategory.id),
+			subdirectories: await getSubcategoryBookmarkDirectories(childCategory.id, categories)
+		};
+		
+		// No need for empty directories.
+		if (subdirectory.tabs.length > 0 || subdirectory.subdirectories.length > 0) {
+			subdirectories.push(subdirectory);
+		}
+	}
+	
+	return subdirectories;
+}
+
 async function convertGroupElementToBookmarks(groupElement) {
 	await requestBookmarkingPermissions();
 	
@@ -3254,11 +4242,14 @@ async function convertGroupElementToBookmarks(groupElement) {
 	const defaultDirectoryName = groupElement.closest("details").querySelector("summary .summary-title").textContent;
 	
 	if (groupElement.dataset.categoryid) {
-		const tabs = await groupFunctionLookup.tabsInCategory.query(parseInt(groupElement.dataset.categoryid));
-		convertTabsToBookmarks(tabs, defaultDirectoryName);
+		const categoryId = parseInt(groupElement.dataset.categoryid);
+		const tabs = await groupFunctionLookup.tabsInCategory.query(categoryId);
+		const subdirectories = await getSubcategoryBookmarkDirectories(categoryId, await queryVisibleCategories());
+		convertTabsToBookmarks(tabs, defaultDirectoryName, subdirectories);
 	} else if (groupElement.dataset.sessionid) {
-		const tabs = await groupFunctionLookup.tabsInSession.query(parseInt(groupElement.dataset.sessionid));
-		convertTabsToBookmarks(tabs, defaultDirectoryName);
+		const session = await db.getSession(parseInt(groupElement.dataset.sessionid));
+		const tabs = await groupFunctionLookup.tabsInSession.query(session.creationdate);
+		convertTabsToBookmarks(tabs, getSessionDisplayName(session));
 	}
 }
 
@@ -3295,6 +4286,90 @@ function toggleMenu() {
 	}
 }
 
+async function openDuplicateTabsDialog() {
+	duplicateTabsDialog.showModal();
+	
+	await refreshDuplicateTabsList();
+}
+
+async function refreshDuplicateTabsList() {
+	duplicateTabsSummary.textContent = "Searching for duplicates...";
+	duplicateTabsList.textContent = "";
+	
+	const duplicateGroups = await db.findDuplicateTabs(duplicateTabsUseNormalizedUrls.checked);
+	const categories = await groupFunctionPrimitives.categories().toArray();
+	const sessions = await groupFunctionPrimitives.sessions().toArray();
+	
+	const categoryNames = new Map(categories.map((category) => [category.id, category.name]));
+	const sessionNames = new Map(sessions.map((session) => [session.creationdate, getSessionDisplayName(session)]));
+	
+	if (duplicateGroups.length === 0) {
+		duplicateTabsSummary.textContent = "No duplicate tabs found.";
+		return;
+	}
+	
+	const duplicateTabCount = duplicateGroups.reduce((count, duplicateGroup) => count + duplicateGroup.tabs.length, 0);
+	duplicateTabsSummary.textContent = `Found ${duplicateGroups.length} URL(s) with ${duplicateTabCount} archived copies in total. Merged copies keep all of their categories and sessions.`;
+	
+	let groupIndex = 0;
+	for (const duplicateGroup of duplicateGroups) {
+		const copies = duplicateGroup.tabs.map((tab) => {
+			const tabCategoryNames = tab.categories.map((categoryId) => categoryNames.get(categoryId)).filter((name) => name !== undefined);
+			const tabSessionNames = tab.sessions.map((sessionDate) => sessionNames.get(sessionDate)).filter((name) => name !== undefined);
+			
+			return `
+				<li>
+					<div>${escapeHTML(tab.title)}</div>
+					<div class="duplicate-tab-details">Archived: ${escapeHTML(formatDisplayDate(tab.sortkey.keyHigh))}</div>
+					<div class="duplicate-tab-details">Sessions: ${tabSessionNames.length > 0 ? escapeHTML(tabSessionNames.join(", ")) : "(none)"}</div>
+					<div class="duplicate-tab-details">Categories: ${tabCategoryNames.length > 0 ? escapeHTML(tabCategoryNames.join(", ")) : "(none)"}</div>
+				</li>
+			`;
+		});
+		
+		duplicateTabsList.insertAdjacentHTML("beforeend", `
+			<li>
+				<input type="checkbox" id="duplicateGroup-${groupIndex}" data-tabids="${duplicateGroup.tabs.map((tab) => tab.id).join(",")}"/>
+				<label for="duplicateGroup-${groupIndex}">${escapeHTML(duplicateGroup.url)} (${duplicateGroup.tabs.length} copies)</label>
+				<ul class="duplicate-tab-copies">
+					${copies.join("")}
+				</ul>
+			</li>
+		`);
+		
+		++groupIndex;
+	}
+}
+
+function selectAllDuplicateTabs() {
+	for (const checkbox of duplicateTabsList.querySelectorAll("input[type='checkbox']")) {
+		checkbox.checked = true;
+	}
+}
+
+async function confirmMergeDuplicateTabs() {
+	const tabIdGroups = Array.from(duplicateTabsList.querySelectorAll("input:checked")).map((checkbox) => {
+		return checkbox.dataset.tabids.split(",").map((tabId) => parseInt(tabId));
+	});
+	
+	if (tabIdGroups.length === 0) {
+		return;
+	}
+	
+	try {
+		await runUndoableOperation(`Merged ${tabIdGroups.length} group(s) of duplicate tabs`, async () => {
+			await db.mergeDuplicateTabs(tabIdGroups);
+		});
+	} catch (error) {
+		debugh.error("Merging duplicate tabs failed:", error);
+		openTextBubble("Merging duplicate tabs failed!");
+	}
+	
+	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
+	
+	await refreshDuplicateTabsList();
+}
+
 async function rerunCategoryAutoCatch() {
 	waitingForCompletionDialog.showModal();
 	
@@ -3337,7 +4412,9 @@ async function rerunCategoryAutoCatch() {
 					};
 				});
 				
-				await db.tabs.bulkUpdate(entriesToUpdate);
+				await runUndoableOperation(`Re-ran auto-catch rules on ${entriesToUpdate.length} tab(s)`, async () => {
+					await db.tabs.bulkUpdate(entriesToUpdate);
+				});
 			} catch(error) {
 				uniqueErrors.add(error.toString());
 			}
@@ -3361,7 +4438,289 @@ async function rerunCategoryAutoCatch() {
 	}
 }
 
-async function exportArchive() {
+async function cacheMissingFavicons() {
+	waitingForCompletionDialog.showModal();
+	
+	try {
+		const tabs = await groupFunctionPrimitives.unsortedTabs().toArray();
+		await db.cacheFavicons(tabs);
+	} catch(error) {
+		debugh.error("Caching favicons failed:", error);
+	}
+	
+	await new Promise(r => setTimeout(r, minimumProcessDialogDisplayTime));
+	
+	waitingForCompletionDialog.close();
+	
+	// Tab lists only update by themselves when tabs change, not when favicons do.
+	incrementGroupVersion(document.querySelector("[data-iscategorieslist]"));
+	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
+}
+
+// Scope is either "archive", "group" (with groupValue being "category-<id>" or "session-<date>") or "selection".
+async function openExportOptions(format = "archive", scope = "archive", groupValue = undefined) {
+	encryptExport.checked = false;
+	exportPassphrase.value = "";
+	exportPassphraseRepeated.value = "";
+	
+	// The selection might change while the dialog is open, so we remember what was selected when it opened.
+	tabIdsToExport = currentlySelectedTabElements.map((tabElement) => parseInt(tabElement.closest("[data-tabid]").dataset.tabid));
+	exportScopeSelectionOption.textContent = `Selected tabs (${tabIdsToExport.length})`;
+	exportScopeSelectionOption.disabled = (tabIdsToExport.length === 0);
+	
+	const categories = await groupFunctionPrimitives.categories().toArray();
+	const sessions = await sortedQuery(groupFunctionPrimitives.sessions().toArray(), compareSortKeysReversed);
+	
+	exportScopeGroup.textContent = "";
+	exportScopeGroup.insertAdjacentHTML("beforeend", `
+		<optgroup label="Categories">
+			${getCategoryOptionsHTML(categories, groupValue, "category-")}
+		</optgroup>
+		<optgroup label="Sessions">
+			${sessions.map((session) => {
+				const value = `session-${session.creationdate}`;
+				return `<option value="${value}"${value === groupValue ? " selected" : ""}>${escapeHTML(getSessionDisplayName(session))}</option>`;
+			}).join("")}
+		</optgroup>
+	`);
+	
+	exportAllGroups.checked = true;
+	exportExcludePreviewImages.checked = false;
+	exportGroupsList.textContent = "";
+	
+	function addCategoryEntriesRecursive(parentId, listElement) {
+		const childCategories = categories.filter((category) => category.parentId === parentId).sort(compareSortKeysReversed);
+		
+		for (const category of childCategories) {
+			listElement.insertAdjacentHTML("beforeend", `
+				<li>
+					<input type="checkbox" id="exportCategory-${category.id}" data-exportcategoryid="${category.id}"/>
+					<label for="exportCategory-${category.id}">${escapeHTML(category.name)}</label>
+					<ul class="dialog-selection-sublist"></ul>
+				</li>
+			`);
+			
+			addCategoryEntriesRecursive(category.id, listElement.lastElementChild.querySelector(".dialog-selection-sublist"));
+		}
+	}
+	
+	exportGroupsList.insertAdjacentHTML("beforeend", `<li><b>Categories</b><ul class="dialog-selection-sublist"></ul></li>`);
+	addCategoryEntriesRecursive(0, exportGroupsList.lastElementChild.querySelector("ul"));
+	
+	exportGroupsList.insertAdjacentHTML("beforeend", `
+		<li>
+			<b>Sessions</b>
+			<ul class="dialog-selection-sublist">
+				${sessions.map((session) => `
+					<li>
+						<input type="checkbox" id="exportSession-${session.creationdate}" data-exportsessiondate="${session.creationdate}"/>
+						<label for="exportSession-${session.creationdate}">${escapeHTML(getSessionDisplayName(session))}</label>
+					</li>
+				`).join("")}
+			</ul>
+		</li>
+	`);
+	
+	exportFormat.value = format;
+	exportScope.value = scope;
+	updateExportOptionsVisibility();
+	
+	exportOptionsDialog.showModal();
+}
+
+function updateExportOptionsVisibility() {
+	const isArchiveFormat = (exportFormat.value === "archive");
+	
+	// Only full archives can be imported again, so those are the only exports worth encrypting.
+	exportScopeRoot.hidden = isArchiveFormat;
+	exportScopeGroupRoot.hidden = (exportScope.value !== "group");
+	exportArchiveContentsRoot.hidden = !isArchiveFormat;
+	exportGroupsList.hidden = exportAllGroups.checked;
+	exportEncryptionRoot.hidden = !isArchiveFormat;
+	exportPassphraseRoot.hidden = (!isArchiveFormat || !encryptExport.checked);
+}
+
+async function confirmExportOptions() {
+	if (exportFormat.value !== "archive") {
+		if (exportScope.value === "group" && exportScopeGroup.value === "") {
+			return;
+		}
+		
+		exportOptionsDialog.close();
+		exportTabsAsText(exportFormat.value, exportScope.value, exportScopeGroup.value);
+		return;
+	}
+	
+	let groupsToExport = null;
+	
+	if (!exportAllGroups.checked) {
+		groupsToExport = {
+			categoryIds: [...exportGroupsList.querySelectorAll("input[data-exportcategoryid]:checked")].map((checkbox) => parseInt(checkbox.dataset.exportcategoryid)),
+			sessionDates: [...exportGroupsList.querySelectorAll("input[data-exportsessiondate]:checked")].map((checkbox) => parseInt(checkbox.dataset.exportsessiondate)),
+		};
+		
+		if (groupsToExport.categoryIds.length === 0 && groupsToExport.sessionDates.length === 0) {
+			exportOptionsInvalidReason.textContent = "Select at least one category or session to export.";
+			exportOptionsInvalidDialog.showModal();
+			return;
+		}
+	}
+	
+	let passphrase = null;
+	
+	if (encryptExport.checked) {
+		if (exportPassphrase.value.length === 0) {
+			exportOptionsInvalidReason.textContent = "You must enter a passphrase to encrypt the export.";
+			exportOptionsInvalidDialog.showModal();
+			return;
+		}
+		
+		if (exportPassphrase.value !== exportPassphraseRepeated.value) {
+			exportOptionsInvalidReason.textContent = "The passphrases don't match.";
+			exportOptionsInvalidDialog.showModal();
+			return;
+		}
+		
+		passphrase = exportPassphrase.value;
+	}
+	
+	exportOptionsDialog.close();
+	exportArchive(passphrase, groupsToExport, exportExcludePreviewImages.checked);
+}
+
+// Returns the sections (see textexport.mjs) and the tabs to export for the given scope.
+async function getTextExportSections(scope, groupValue) {
+	const categories = await groupFunctionPrimitives.categories().toArray();
+	const sessions = await sortedQuery(groupFunctionPrimitives.sessions().toArray(), compareSortKeysReversed);
+	
+	const getCategorySectionsRecursive = (tabs, parentId, level) => {
+		const childCategories = categories.filter((category) => category.parentId === parentId).sort(compareSortKeysReversed);
+		
+		return childCategories.flatMap((category) => [
+			{ title: category.name, level: level, tabs: tabs.filter((tab) => tab.categories.includes(category.id)) },
+			...getCategorySectionsRecursive(tabs, category.id, level + 1),
+		]);
+	};
+	
+	const getSessionSection = (tabs, session, level) => {
+		return { title: getSessionDisplayName(session), level: level, tabs: tabs.filter((tab) => tab.sessions.includes(session.creationdate)) };
+	};
+	
+	if (scope === "selection") {
+		const tabs = (await db.tabs.bulkGet(tabIdsToExport)).filter((tab) => tab !== undefined).sort(compareSortKeys);
+		
+		return { tabs: tabs, sections: [ { title: "Selected tabs", level: 0, tabs: tabs } ] };
+	}
+	
+	if (scope === "group") {
+		const [groupType, groupId] = groupValue.split("-");
+		
+		if (groupType === "category") {
+			const category = categories.find((category) => category.id === parseInt(groupId));
+			
+			if (!category) {
+				throw("The category no longer exists.");
+			}
+			
+			// Just like converting a category to bookmarks, this includes its subcategories.
+			const categoryIds = [ category.id, ...db.getCategoryDescendantIds(categories, category.id) ];
+			const tabs = await sortedQuery(groupFunctionPrimitives.tabsInCategories(categoryIds).toArray(), compareSortKeys);
+			
+			return {
+				tabs: tabs,
+				sections: [
+					{ title: category.name, level: 0, tabs: tabs.filter((tab) => tab.categories.includes(category.id)) },
+					...getCategorySectionsRecursive(tabs, category.id, 1),
+				],
+			};
+		}
+		
+		const session = sessions.find((session) => session.creationdate === parseInt(groupId));
+		
+		if (!session) {
+			throw("The session no longer exists.");
+		}
+		
+		const tabs = await sortedQuery(groupFunctionPrimitives.tabsInSession(session.creationdate).toArray(), compareSortKeys);
+		
+		return { tabs: tabs, sections: [ getSessionSection(tabs, session, 0) ] };
+	}
+	
+	const tabs = await sortedQuery(groupFunctionPrimitives.unsortedTabs().toArray(), compareSortKeys);
+	
+	return {
+		tabs: tabs,
+		sections: [
+			{ title: "Categories", level: 0, tabs: [] },
+			...getCategorySectionsRecursive(tabs, 0, 1),
+			{ title: "Sessions", level: 0, tabs: [] },
+			...sessions.map((session) => getSessionSection(tabs, session, 1)),
+		],
+	};
+}
+
+async function exportTabsAsText(format, scope, groupValue) {
+	await requestDownloadingPermissions();
+	
+	if (!hasDownloadingPermission) {
+		return;
+	}
+	
+	importExportErrorTypeLabel.textContent = "export";
+	
+	try {
+		const exportData = await getTextExportSections(scope, groupValue);
+		const title = `PhanTabular Archive (${formatDisplayDate(Date.now())})`;
+		
+		let text = "";
+		
+		switch (format) {
+			case "markdown":
+				text = textexporter.toMarkdown(title, exportData.sections);
+				break;
+				
+			case "html":
+				text = textexporter.toHtml(title, exportData.sections);
+				break;
+				
+			case "csv":
+			{
+				const categoryNames = new Map((await groupFunctionPrimitives.categories().toArray()).map((category) => [category.id, category.name]));
+				const sessionNames = new Map((await groupFunctionPrimitives.sessions().toArray()).map((session) => [session.creationdate, getSessionDisplayName(session)]));
+				
+				text = textexporter.toCsv(exportData.tabs.map((tab) => {
+					return {
+						title: tab.title,
+						url: tab.url,
+						categories: tab.categories.map((categoryId) => categoryNames.get(categoryId)).filter((name) => name !== undefined),
+						sessions: tab.sessions.map((sessionDate) => sessionNames.get(sessionDate)).filter((name) => name !== undefined),
+						archiveDate: db.getLastArchivalDate(tab),
+					};
+				}));
+				break;
+			}
+				
+			case "urllist":
+				text = textexporter.toUrlList(exportData.sections);
+				break;
+		}
+		
+		const exportFormatDetails = textExportFormats[format];
+		const exportBlob = new Blob([text], { type: `${exportFormatDetails.type};charset=utf-8` });
+		
+		await browser.downloads.download({
+			filename: db.getExportFilename(new Date(), exportFormatDetails.extension),
+			url: URL.createObjectURL(exportBlob)
+		});
+	} catch(error) {
+		importExportError.textContent = error;
+		importExportErrorDialog.showModal();
+	}
+}
+
+// If a passphrase is given, the export gets encrypted with it (see encryption.mjs for the format).
+// groupsToExport ({ categoryIds, sessionDates }) limits the export to the tabs of these categories and sessions.
+async function exportArchive(passphrase = null, groupsToExport = null, excludePreviewImages = false) {
 	await requestDownloadingPermissions();
 	
 	if (!hasDownloadingPermission) {
@@ -3379,31 +4738,25 @@ async function exportArchive() {
 			noTransaction: false,
 			numRowsPerChunk: 5,
 			prettyJson: true,
-			filter: null,
+			filter: (groupsToExport !== null ? await db.getExportFilter(groupsToExport.categoryIds, groupsToExport.sessionDates) : null),
+			// The journal only makes sense for the archive it was recorded on.
+			skipTables: [ "journal", ...(excludePreviewImages ? [ "previewimages" ] : []) ],
 			progressCallback: (progress) => {
 				importOrExportProgressLabel.textContent = ((progress.completedRows/progress.totalRows) * 100).toFixed(0);
 				return true;
 			}
 		};
 	
-		const archiveBlob = await db.export(exportOptions);
+		let archiveBlob = await db.export(exportOptions);
+		
+		if (passphrase !== null) {
+			archiveBlob = await archiveencryption.encrypt(archiveBlob, passphrase);
+		}
 			
 		await new Promise(r => setTimeout(r, minimumProcessDialogDisplayTime));
-
-		const currentDate = new Date();
-		
-		const day = String(currentDate.getDate()).padStart(2, '0');
-		const month = String(currentDate.getMonth() + 1).padStart(2, '0');
-		const year = currentDate.getFullYear();
-		
-		const hours = String(currentDate.getHours()).padStart(2, '0');
-		const minutes = String(currentDate.getMinutes()).padStart(2, '0');
-		const seconds = String(currentDate.getSeconds()).padStart(2, '0');
-		
-		const dateTimeStamp = `${year}-${month}-${day}--${hours}-${minutes}-${seconds}`;
 		
 		await browser.downloads.download({
-			filename: `Phantabular-Archive--${dateTimeStamp}.json`,
+			filename: db.getExportFilename(),
 			url: URL.createObjectURL(archiveBlob)
 		});
 	} catch(error) {
@@ -3414,16 +4767,30 @@ async function exportArchive() {
 	importExportDialog.close();
 }
 
-async function importArchive() {
+// Encrypted files need a passphrase first, so importing them takes another pass through here,
+// this time with the passphrase the user entered.
+async function importArchive(passphrase = null) {
 	if (fileToImport.files.length == 0) {
 		noImportFileSelectedDialog.showModal();
 		return;
 	}
 	
+	let fileBlob = fileToImport.files[0];
+	const isEncrypted = await archiveencryption.isEncrypted(fileBlob);
+	
+	if (isEncrypted && passphrase === null) {
+		importPassphrase.value = "";
+		importPassphraseDialog.showModal();
+		return;
+	}
+	
 	importOrExportLabel.textContent = "Import";
 	importExportErrorTypeLabel.textContent = "import";
 	importOrExportProgressLabel.textContent = "0";
 	
+	// Imports that succeeded, but had to skip parts of the file, describe what was skipped here.
+	let importWarningText = null;
+	
 	try {		
 		const importOptions = {			
 			acceptMissingTables: true,
@@ -3435,25 +4802,234 @@ async function importArchive() {
 			noTransaction: false,
 			//chunkSizeBytes: 100000,
 			filter: null,
-			transform: null,	// Probably needs to be provided once we actually have versions to migrate?
+			// Exports from older versions get migrated by the database itself, so no transform needed here.
+			transform: null,
 			progressCallback: (progress) => {
 				importOrExportProgressLabel.textContent = ((progress.completedRows/progress.totalRows) * 100).toFixed(0);
 				return true;
 			}
 		};
 	
-		await db.import(fileToImport.files[0], importOptions);
+		if (isEncrypted) {
+			fileBlob = await archiveencryption.decrypt(fileBlob, passphrase);
+		}
+		
+		// Besides PhanTabular archives, there's a range of other formats we can import.
+		const fileStart = await fileBlob.slice(0, 256).text();
+		
+		if (await firefoxsessionparser.isMozLz4(fileBlob)) {
+			await importFirefoxSession(fileBlob);
+		} else if (/"formatName"\s*:\s*"dexie"/.test(fileStart)) {
+			await db.importArchive(fileBlob, importOptions);
+		} else if (/^\s*[\[{]/.test(fileStart)) {
+			importWarningText = await importForeignArchive(fileBlob);
+		} else if (bookmarkshtmlparser.isBookmarksHtml(fileStart)) {
+			await openBookmarkImportPreview(fileBlob);
+		} else {
+			importWarningText = await importUrlList(fileBlob);
+		}
+		
+		incrementGroupVersion(document.querySelector("[data-iscategorieslist]"));
+		incrementGroupVersion(document.querySelector("[data-issessionslist]"));
 	} catch(error) {
 		importExportError.textContent = error;
 		importExportErrorDialog.showModal();
 	}
 	
 	importExportDialog.close();
+	
+	if (importWarningText !== null) {
+		importWarning.textContent = importWarningText;
+		importWarningDialog.showModal();
+	}
+}
+
+// Returns a description of the lines that had to be skipped, or null if there weren't any.
+async function importUrlList(fileBlob) {
+	const urlList = urllistparser.parse(await fileBlob.text());
+	
+	if (urlList.sessions.length === 0) {
+		throw("The file is neither a PhanTabular archive nor a list of URLs.");
+	}
+	
+	const targetCategoryId = parseInt(importTargetCategory.value);
+	
+	await db.importSessions(urlList.sessions, (targetCategoryId > 0 ? [ targetCategoryId ] : []));
+	
+	if (urlList.skippedLines.length > 0) {
+		const maxSkippedLinesToShow = 5;
+		const skippedLinesText = urlList.skippedLines.slice(0, maxSkippedLinesToShow).join("\n");
+		const moreLinesText = (urlList.skippedLines.length > maxSkippedLinesToShow ? `\n(and ${urlList.skippedLines.length - maxSkippedLinesToShow} more)` : "");
+		
+		return `All URLs were imported, but ${urlList.skippedLines.length} line(s) didn't contain a URL and were skipped:\n${skippedLinesText}${moreLinesText}`;
+	}
+	
+	return null;
+}
+
+// Imports the JSON exports of other tab managers. Returns a description of the items that couldn't be
+// imported, or null if everything was imported.
+async function importForeignArchive(fileBlob) {
+	let data = null;
+	
+	try {
+		data = JSON.parse(await fileBlob.text());
+	} catch (error) {
+		throw("The file isn't valid JSON: " + error);
+	}
+	
+	const importer = importers.find(data);
+	
+	if (importer === null) {
+		throw("The file is neither a PhanTabular archive nor the export of any other supported tab manager.");
+	}
+	
+	const result = importer.convert(data);
+	const targetCategoryId = parseInt(importTargetCategory.value);
+	
+	let importedTabCount = 0;
+	
+	if (result.sessions.some((session) => session.tabs.length > 0)) {
+		importedTabCount += await db.importSessions(result.sessions, (targetCategoryId > 0 ? [ targetCategoryId ] : []));
+	}
+	
+	if (result.folders !== null && bookmarkshtmlparser.countBookmarks(result.folders) > 0) {
+		importedTabCount += await db.importFolders(result.folders, (targetCategoryId > 0 ? targetCategoryId : 0), `Imported from ${importer.name}`);
+	}
+	
+	const maxFailuresToShow = 10;
+	const failuresText = result.failures.slice(0, maxFailuresToShow).join("\n");
+	const moreFailuresText = (result.failures.length > maxFailuresToShow ? `\n(and ${result.failures.length - maxFailuresToShow} more)` : "");
+	
+	if (importedTabCount === 0) {
+		throw(`The ${importer.name} export doesn't contain any tabs that could be imported.${result.failures.length > 0 ? `\n${failuresText}${moreFailuresText}` : ""}`);
+	}
+	
+	if (result.failures.length > 0) {
+		return `Imported ${importedTabCount} tab(s) from ${importer.name}, but ${result.failures.length} item(s) couldn't be imported:\n${failuresText}${moreFailuresText}`;
+	}
+	
+	return null;
+}
+
+async function importFirefoxSession(fileBlob) {
+	const sessions = firefoxsessionparser.parse(await firefoxsessionparser.decode(fileBlob));
+	
+	if (sessions.length === 0) {
+		throw("The Firefox session file doesn't contain any tabs.");
+	}
+	
+	const targetCategoryId = parseInt(importTargetCategory.value);
+	
+	await db.importSessions(sessions, (targetCategoryId > 0 ? [ targetCategoryId ] : []));
+}
+
+async function openBookmarkImportPreview(fileBlob) {
+	bookmarkFoldersToImport = bookmarkshtmlparser.parse(await fileBlob.text());
+	
+	if (bookmarkshtmlparser.countBookmarks(bookmarkFoldersToImport) === 0) {
+		bookmarkFoldersToImport = null;
+		throw("The bookmark file doesn't contain any bookmarks.");
+	}
+	
+	bookmarkImportFolderList.textContent = "";
+	
+	if (bookmarkFoldersToImport.bookmarks.length > 0) {
+		bookmarkImportFolderList.insertAdjacentHTML("beforeend", `
+			<li>
+				<input type="checkbox" id="bookmarkImportFolder-root" data-folderpath="" checked/>
+				<label for="bookmarkImportFolder-root"><i>Bookmarks outside of folders</i> <span class="bookmark-import-count">(${bookmarkFoldersToImport.bookmarks.length})</span></label>
+			</li>
+		`);
+	}
+	
+	function addFolderEntriesRecursive(folder, folderPath, listElement) {
+		folder.folders.forEach((subfolder, index) => {
+			const bookmarkCount = bookmarkshtmlparser.countBookmarks(subfolder);
+			
+			// Empty folders don't become categories anyway.
+			if (bookmarkCount === 0) {
+				return;
+			}
+			
+			const subfolderPath = (folderPath === "" ? `${index}` : `${folderPath}-${index}`);
+			
+			listElement.insertAdjacentHTML("beforeend", `
+				<li>
+					<input type="checkbox" id="bookmarkImportFolder-${subfolderPath}" data-folderpath="${subfolderPath}" checked/>
+					<label for="bookmarkImportFolder-${subfolderPath}">${escapeHTML(subfolder.name || "Unnamed folder")} <span class="bookmark-import-count">(${bookmarkCount})</span></label>
+					<ul class="dialog-selection-sublist"></ul>
+				</li>
+			`);
+			
+			addFolderEntriesRecursive(subfolder, subfolderPath, listElement.lastElementChild.querySelector(".dialog-selection-sublist"));
+		});
+	}
+	
+	addFolderEntriesRecursive(bookmarkFoldersToImport, "", bookmarkImportFolderList);
+	updateBookmarkImportCount();
+	
+	bookmarkImportPreviewDialog.showModal();
+}
+
+// Returns the part of the folder tree that is checked in the preview. Unchecking a folder also excludes its subfolders.
+function getBookmarkFoldersToImport() {
+	const isFolderChecked = (folderPath) => {
+		const checkbox = bookmarkImportFolderList.querySelector(`input[data-folderpath="${folderPath}"]`);
+		return (checkbox !== null && checkbox.checked);
+	};
+	
+	function getCheckedFoldersRecursive(folder, folderPath) {
+		const checkedSubfolders = [];
+		
+		folder.folders.forEach((subfolder, index) => {
+			const subfolderPath = (folderPath === "" ? `${index}` : `${folderPath}-${index}`);
+			
+			if (isFolderChecked(subfolderPath)) {
+				checkedSubfolders.push(Object.assign({}, subfolder, { folders: getCheckedFoldersRecursive(subfolder, subfolderPath) }));
+			}
+		});
+		
+		return checkedSubfolders;
+	}
+	
+	return Object.assign({}, bookmarkFoldersToImport, {
+		bookmarks: (isFolderChecked("") ? bookmarkFoldersToImport.bookmarks : []),
+		folders: getCheckedFoldersRecursive(bookmarkFoldersToImport, ""),
+	});
+}
+
+function updateBookmarkImportCount() {
+	for (const checkbox of bookmarkImportFolderList.querySelectorAll("input[data-folderpath]")) {
+		const parentListItem = checkbox.closest("ul").closest("li");
+		const parentCheckbox = (parentListItem ? parentListItem.querySelector(":scope > input") : null);
+		
+		checkbox.disabled = (parentCheckbox ? (parentCheckbox.disabled || !parentCheckbox.checked) : false);
+	}
+	
+	bookmarkImportCount.textContent = bookmarkshtmlparser.countBookmarks(getBookmarkFoldersToImport());
+}
+
+async function importBookmarks() {
+	const targetCategoryId = parseInt(importTargetCategory.value);
+	
+	try {
+		await db.importFolders(getBookmarkFoldersToImport(), (targetCategoryId > 0 ? targetCategoryId : 0));
+	} catch (error) {
+		importExportErrorTypeLabel.textContent = "import";
+		importExportError.textContent = error;
+		importExportErrorDialog.showModal();
+	}
+	
+	bookmarkFoldersToImport = null;
+	incrementGroupVersion(document.querySelector("[data-iscategorieslist]"));
+	incrementGroupVersion(document.querySelector("[data-issessionslist]"));
 }
 
 async function openImportArchiveSelector() {
 	fileToImport.value = "";
 	importOverwritesEntireArchive.checked = false;
+	await fillCategorySelector(importTargetCategory, 0);
 	
 	importFileSelectDialog.showModal();
 }
@@ -3548,19 +5124,29 @@ document.addEventListener("click", (e) => {
 			convertGroupElementToBookmarks(e.target.closest(".group-details"));
 			break;
 			
+		case "export-group":
+		{
+			const groupElement = e.target.closest(".group-details");
+			const groupValue = (groupElement.dataset.categoryid ? `category-${groupElement.dataset.categoryid}` : `session-${groupElement.dataset.sessionid}`);
+			openExportOptions("markdown", "group", groupValue);
+			break;
+		}
+			
 		case "confirm-bookmark-conversion":
 			const directoryNameIsJustWhitespace = (bookmarkConversionCreateDirectoryName.value.replace(/\s/g, "").length === 0);
 			if (bookmarkConversionCreateDirectory.checked && directoryNameIsJustWhitespace) {
 				convertToBookmarksEmptyDirectoryNameDialog.showModal();
 			} else {
-				confirmConvertTabsToBookmarks(tabsToBookmark);	
+				confirmConvertTabsToBookmarks(tabsToBookmark, subdirectoriesToBookmark);	
 				tabsToBookmark = null;
+				subdirectoriesToBookmark = [];
 				convertToBookmarksDialog.close();
 			}
 			break;
 			
 		case "cancel-bookmark-conversion":	
 			tabsToBookmark = null;
+			subdirectoriesToBookmark = [];
 			convertToBookmarksDialog.close();
 			break;
 			
@@ -3574,12 +5160,75 @@ document.addEventListener("click", (e) => {
 			confirmDeleteCategory.showModal();
 			break;
 			
+		case "edit-session-settings":
+			editSessionSettings(e.target.closest("[data-sessionid]"));
+			break;
+			
+		case "confirm-edit-session":
+			applySessionSettings();
+			break;
+			
+		case "cancel-edit-session":
+			editSessionDialog.close();
+			break;
+			
+		case "merge-sessions":
+			openMergeSessionsDialog(e.target.closest("[data-sessionid]"));
+			break;
+			
+		case "confirm-merge-sessions":
+			confirmMergeSessions();
+			break;
+			
+		case "cancel-merge-sessions":
+			mergeSessionsDialog.close();
+			break;
+			
+		case "split-session":
+			openSplitSessionDialog(e.target.closest("[data-sessionid]"));
+			break;
+			
+		case "confirm-split-session":
+			confirmSplitSession();
+			break;
+			
+		case "cancel-split-session":
+			splitSessionTabIds = {};
+			splitSessionDialog.close();
+			break;
+			
 		case "delete-session":
 			confirmDeleteSession.setAttribute("data-sessionid", e.target.closest("[data-sessionid]").dataset.sessionid);
 			sessionDeletionAlsoDeletesTabs.checked = false;
 			confirmDeleteSession.showModal();
 			break;
 			
+		case "restore-trash-entry":
+			restoreTrashEntry(parseInt(e.target.closest("[data-trashentryid]").dataset.trashentryid));
+			break;
+			
+		case "purge-trash-entry":
+			confirmPurgeTrash.setAttribute("data-trashentryid", e.target.closest("[data-trashentryid]").dataset.trashentryid);
+			purgeTrashEntryCount.textContent = "1";
+			confirmPurgeTrash.showModal();
+			break;
+			
+		case "empty-trash":
+			confirmPurgeTrash.removeAttribute("data-trashentryid");
+			db.trash.count().then((trashEntryCount) => {
+				purgeTrashEntryCount.textContent = trashEntryCount;
+				confirmPurgeTrash.showModal();
+			});
+			break;
+			
+		case "confirm-trash-purge":
+			confirmTrashPurge(confirmPurgeTrash.dataset.trashentryid);
+			break;
+			
+		case "cancel-trash-purge":
+			confirmPurgeTrash.close();
+			break;
+			
 		case "confirm-category-deletion":
 			confirmCategoryDeletion(parseInt(e.target.closest("[data-categoryid]").dataset.categoryid), categoryDeletionAlsoDeletesTabs.checked);
 			break;
@@ -3660,7 +5309,7 @@ document.addEventListener("click", (e) => {
 					confirmDeleteTab.setAttribute("data-tabid", tabId);
 					confirmDeleteTab.showModal();
 				} else {
-					db.deleteTabs([tabId]);
+					deleteTabs([tabId]);
 				}
 			});
 			break;
@@ -3675,7 +5324,7 @@ document.addEventListener("click", (e) => {
 		case "confirm-tab-deletion":
 		{
 			const tabId = parseInt(e.target.closest("[data-tabid]").dataset.tabid);
-			db.deleteTabs([tabId]);
+			deleteTabs([tabId]);
 			break;
 		}
 			
@@ -3692,9 +5341,43 @@ document.addEventListener("click", (e) => {
 			rerunCategoryAutoCatch();
 			break;
 			
+		case "cache-missing-favicons":
+			hideMenu();
+			cacheMissingFavicons();
+			break;
+			
+		case "find-duplicate-tabs":
+			hideMenu();
+			openDuplicateTabsDialog();
+			break;
+			
+		case "select-all-duplicate-tabs":
+			selectAllDuplicateTabs();
+			break;
+			
+		case "confirm-merge-duplicate-tabs":
+			confirmMergeDuplicateTabs();
+			break;
+			
+		case "close-duplicate-tabs":
+			duplicateTabsDialog.close();
+			break;
+			
 		case "export-archive":
 			hideMenu();
-			exportArchive();
+			openExportOptions();
+			break;
+			
+		case "confirm-export":
+			e.preventDefault();
+			confirmExportOptions();
+			break;
+			
+		case "cancel-export":
+			exportOptionsDialog.close();
+			break;
+			
+		case "export-options-invalid-confirmed":
 			break;
 			
 		case "import-archive":
@@ -3711,6 +5394,25 @@ document.addEventListener("click", (e) => {
 			importFileSelectDialog.close();
 			break;
 			
+		case "confirm-import-passphrase":
+			importPassphraseDialog.close();
+			importArchive(importPassphrase.value);
+			break;
+			
+		case "cancel-import-passphrase":
+			importPassphraseDialog.close();
+			break;
+			
+		case "confirm-bookmark-import":
+			bookmarkImportPreviewDialog.close();
+			importBookmarks();
+			break;
+			
+		case "cancel-bookmark-import":
+			bookmarkImportPreviewDialog.close();
+			bookmarkFoldersToImport = null;
+			break;
+			
 		case "no-import-file-selected-confirmed":
 			importFileSelectDialog.showModal();
 			break;
@@ -3753,6 +5455,10 @@ document.addEventListener("click", (e) => {
 			convertTabElementsToBookmarks(currentlySelectedTabElements);
 			break;
 			
+		case "actions-export-tabs":
+			openExportOptions("markdown", "selection");
+			break;
+			
 		case "actions-delete-tab":
 		{
 			settings.openSettings.then((openSettings) => {
@@ -3763,7 +5469,7 @@ document.addEventListener("click", (e) => {
 					confirmDeleteTabs.setAttribute("data-tabids", JSON.stringify(tabIds));
 					confirmDeleteTabs.showModal();
 				} else {
-					db.deleteTabs(tabIds);
+					deleteTabs(tabIds);
 				}
 			});
 			break;
@@ -3772,7 +5478,7 @@ document.addEventListener("click", (e) => {
 		case "confirm-multi-tab-deletion":
 		{
 			const tabIds = JSON.parse(e.target.closest("[data-tabids]").dataset.tabids).map((idStr) => parseInt(idStr));
-			db.deleteTabs(tabIds);
+			deleteTabs(tabIds);
 			break;
 		}
 			
@@ -3786,7 +5492,11 @@ document.addEventListener("click", (e) => {
 			const tabIds = currentlySelectedTabElements.map((tabElement) => {return parseInt(tabElement.closest("[data-tabid]").dataset.tabid)} );
 			const previouslySelected = e.target.closest("[data-selected]").dataset.selected;
 			
-			db.tabs.bulkGet(tabIds).then((tabs) => {
+			const operationDescription = `${previouslySelected !== "all" ? "Added" : "Removed"} category for ${tabIds.length} tab(s)`;
+			
+			db.recordUndoableOperation(operationDescription, async () => {
+				const tabs = await db.tabs.bulkGet(tabIds);
+				
 				const isAddTransaction = (previouslySelected !== "all");
 				
 				const entriesToUpdate = [];
@@ -3814,9 +5524,9 @@ document.addEventListener("click", (e) => {
 					entriesToUpdate.push(update);
 				}
 				
-				db.tabs.bulkUpdate(entriesToUpdate).then(() => {
-					updateActionsPanel();
-				});
+				await db.tabs.bulkUpdate(entriesToUpdate);
+			}).then(() => {
+				updateActionsPanel();
 			});
 			
 			break;
@@ -3828,53 +5538,82 @@ document.addEventListener("click", (e) => {
 			const tabIds = currentlySelectedTabElements.map((tabElement) => {return parseInt(tabElement.closest("[data-tabid]").dataset.tabid)} );
 			const previouslySelected = e.target.closest("[data-selected]").dataset.selected;
 			
+			const operationDescription = `${previouslySelected !== "all" ? "Added" : "Removed"} session for ${tabIds.length} tab(s)`;
+			
 			settings.archiveSettings.then(async (archiveSettings) => {
-				const tabs = await db.tabs.bulkGet(tabIds);
-				
-				const isAddTransaction = (previouslySelected !== "all");
-				
-				const entriesToUpdate = [];
-				
-				for (const tab of tabs) {
-					const update = {
-						key: tab.id,
-						changes: {
-							sessions: tab.sessions,
-						},
-					};
+				await db.recordUndoableOperation(operationDescription, async () => {
+					const tabs = await db.tabs.bulkGet(tabIds);
 					
-					if (isAddTransaction) {
-						if (archiveSettings.onlyStoreLatestSession) {
-							update.changes.sessions = [sessionId];
+					const isAddTransaction = (previouslySelected !== "all");
+					
+					const entriesToUpdate = [];
+					
+					for (const tab of tabs) {
+						const update = {
+							key: tab.id,
+							changes: {
+								sessions: tab.sessions,
+							},
+						};
+						
+						if (isAddTransaction) {
+							if (archiveSettings.onlyStoreLatestSession) {
+								update.changes.sessions = [sessionId];
+							} else {
+								if (!update.changes.sessions.includes(sessionId)) {
+									update.changes.sessions.push(sessionId);
+								}
+							}
 						} else {
-							if (!update.changes.sessions.includes(sessionId)) {
-								update.changes.sessions.push(sessionId);
+							const foundIndex = update.changes.sessions.indexOf(sessionId);
+							
+							if (foundIndex !== -1) {
+								update.changes.sessions.splice(foundIndex, 1);
 							}
 						}
-					} else {
-						const foundIndex = update.changes.sessions.indexOf(sessionId);
 						
-						if (foundIndex !== -1) {
-							update.changes.sessions.splice(foundIndex, 1);
-						}
+						entriesToUpdate.push(update);
 					}
 					
-					entriesToUpdate.push(update);
-				}
-				
-				db.tabs.bulkUpdate(entriesToUpdate).then(() => {
-					db.deleteSessionIfNoLongerNeeded(sessionId).then(() => {						
-						updateActionsPanel();
-					});
+					await db.tabs.bulkUpdate(entriesToUpdate);
+					await db.deleteSessionIfNoLongerNeeded(sessionId);
 				});
+				
+				updateActionsPanel();
 			});
 			break;
 		}
 		
+		case "actions-add-tag":
+			addTagsFromInput();
+			break;
+			
+		case "actions-remove-tag":
+			if (currentlySelectedTabElements.length === 1) {
+				const tabId = parseInt(currentlySelectedTabElements[0].dataset.tabid);
+				const tag = e.target.dataset.tag;
+				
+				runUndoableOperation("Removed tag", async () => {
+					await db.removeTabTags([ tabId ], [ tag ]);
+				}).catch((error) => {
+					debugh.error("Removing tag failed:", error);
+					openTextBubble(typeof error === "string" ? escapeHTML(error) : "Removing tag failed!");
+				});
+			}
+			break;
+		
 		case "toggle-actions-panel":
 			toggleActionsPanel();
 			break;
 			
+		case "undo":
+			undoOrRedoLastOperation(false);
+			break;
+			
+		case "redo":
+			undoOrRedoLastOperation(true);
+			break;
+			
 		case "copy-rule-preview":
 		{
 			navigator.clipboard.writeText(generateRuleTextFromTemplate());
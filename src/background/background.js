@@ -1,6 +1,8 @@
 import debugh from "../shared/debughelper.mjs";
 import settings from "../shared/settings.mjs";
 import db from "../shared/database.mjs";
+import ruleeval from "../shared/rules.mjs";
+import backups from "../shared/backups.mjs";
 
 
 debugh.log("Initializing background script.");
@@ -100,13 +102,212 @@ async function initializeAllOpenWindows() {
 	await archiveTabs(tabsToArchive, windowData);
 }
 
+async function emptyExpiredTrash() {
+	const archiveSettings = await settings.archiveSettings;
+	
+	if (archiveSettings.trashRetentionDays <= 0) {
+		return;
+	}
+	
+	const retentionPeriod = archiveSettings.trashRetentionDays * 24 * 60 * 60 * 1000;
+	
+	try {
+		const deletedEntryCount = await db.emptyTrash(Date.now() - retentionPeriod);
+		debugh.log("Permanently deleted", deletedEntryCount, "expired trash entries.");
+	} catch (error) {
+		debugh.error("Failed to empty expired trash entries:", error);
+	}
+}
+
+function scheduleTrashEmptying() {
+	// Creating an alarm replaces any existing alarm of the same name, so only do this
+	// on startup, otherwise waking up the background page would keep delaying it.
+	browser.alarms.create("empty-expired-trash", { delayInMinutes: 1, periodInMinutes: 60 });
+}
+
+// Archives (and closes) tabs that haven't been accessed for a while. Active and audible tabs never
+// count as idle, and neither do tabs in windows that opted out or tabs matching the exclusion rule.
+async function archiveIdleTabs() {
+	const archiveSettings = await settings.archiveSettings;
+	const idleTabsSettings = archiveSettings.contextSpecificSettings.idleTabs;
+	
+	if (!idleTabsSettings.archiveIdleTabs || idleTabsSettings.idleMinutes <= 0) {
+		return;
+	}
+	
+	const origin = "idle-tabs";
+	const idleSince = Date.now() - idleTabsSettings.idleMinutes * 60 * 1000;
+	const exclusionRule = (/\S/.test(idleTabsSettings.exclusionRule) ? idleTabsSettings.exclusionRule : undefined);
+	
+	try {
+		const openWindows = await browser.windows.getAll({ populate: true, windowTypes: ["normal"] });
+		const idleTabs = [];
+		
+		for (const openWindow of openWindows) {
+			let windowData = null;
+			
+			try {
+				windowData = await browser.sessions.getWindowValue(openWindow.id, "phantabular");
+			} catch {}
+			
+			if (windowData && windowData.idleTabsOptOut) {
+				debugh.logVerbose("Not checking window", openWindow.id, "for idle tabs because it opted out.");
+				continue;
+			}
+			
+			for (const tab of openWindow.tabs) {
+				if (tab.active || tab.audible || tab.lastAccessed === undefined || tab.lastAccessed > idleSince) {
+					continue;
+				}
+				
+				if (await ruleeval.matchesRule(tab, exclusionRule)) {
+					debugh.logVerbose("Not archiving idle tab", tab.id, "because it matches the exclusion rule.");
+					continue;
+				}
+				
+				// Tabs that stay open after being archived keep their lastAccessed, so without this,
+				// every check would archive them again until they're used.
+				let tabData = null;
+				
+				try {
+					tabData = await browser.sessions.getTabValue(tab.id, "phantabular");
+				} catch {}
+				
+				if (tabData && tabData.idleArchivedLastAccessed === tab.lastAccessed) {
+					debugh.logVerbose("Not archiving idle tab", tab.id, "because it was already archived while idle.");
+					continue;
+				}
+				
+				idleTabs.push(tab);
+			}
+		}
+		
+		const tabsToArchive = await db.filterArchivableTabs(idleTabs, origin);
+		
+		if (tabsToArchive.length === 0) {
+			return;
+		}
+		
+		debugh.log("Archiving", tabsToArchive.length, "idle tabs.");
+		
+		const archivedTabs = await db.archiveTabs(tabsToArchive, origin);
+		
+		if (idleTabsSettings.autoCloseArchivedTabs) {
+			await db.doPostArchivalClose(archivedTabs, origin);
+		} else {
+			for (const archivedTab of archivedTabs) {
+				try {
+					const tabData = (await browser.sessions.getTabValue(archivedTab.id, "phantabular")) || {};
+					tabData.idleArchivedLastAccessed = archivedTab.lastAccessed;
+					await browser.sessions.setTabValue(archivedTab.id, "phantabular", tabData);
+				} catch (error) {
+					// The tab might have been closed in the meantime.
+					debugh.logVerbose("Couldn't mark idle tab", archivedTab.id, "as archived:", error);
+				}
+			}
+		}
+	} catch (error) {
+		debugh.error("Failed to archive idle tabs:", error);
+	}
+}
+
+function scheduleIdleTabsCheck() {
+	browser.alarms.create("archive-idle-tabs", { delayInMinutes: 1, periodInMinutes: 5 });
+}
+
+async function applyRetentionPolicy() {
+	const archiveSettings = await settings.archiveSettings;
+	
+	if (!archiveSettings.retentionPolicy.enabled) {
+		return;
+	}
+	
+	try {
+		await db.applyRetentionPolicy(archiveSettings.retentionPolicy);
+	} catch (error) {
+		debugh.error("Failed to apply retention policy:", error);
+	}
+}
+
+function scheduleRetentionPolicy() {
+	browser.alarms.create("apply-retention-policy", { delayInMinutes: 1, periodInMinutes: 60 });
+}
+
+function scheduleBackups() {
+	// Checking hourly whether a backup is due also retries failed backups.
+	browser.alarms.create("run-scheduled-backup", { delayInMinutes: 5, periodInMinutes: 60 });
+}
+
+// Warns about the archive growing too large via the badge of the browser action,
+// since the extension doesn't have permission to show notifications.
+async function checkStorageUsage() {
+	const archiveSettings = await settings.archiveSettings;
+	
+	let warningText = null;
+	
+	if (archiveSettings.storageWarningThresholdMegabytes > 0) {
+		try {
+			const storageEstimate = await navigator.storage.estimate();
+			const usageInMegabytes = storageEstimate.usage / (1024 * 1024);
+			
+			if (usageInMegabytes > archiveSettings.storageWarningThresholdMegabytes) {
+				warningText = `PhanTabular - The archive takes up ${usageInMegabytes.toFixed(1)} MB of storage, which is more than the warning threshold of ${archiveSettings.storageWarningThresholdMegabytes} MB. Open the settings for a detailed storage report.`;
+			}
+		} catch (error) {
+			debugh.error("Failed to estimate storage usage:", error);
+		}
+	}
+	
+	if (warningText !== null) {
+		debugh.log("Storage usage exceeds the warning threshold.");
+		browser.browserAction.setBadgeBackgroundColor({ color: "#f03e3e" });
+	}
+	
+	browser.browserAction.setBadgeText({ text: (warningText !== null ? "!" : "") });
+	browser.browserAction.setTitle({ title: warningText });
+}
+
+function scheduleStorageUsageCheck() {
+	browser.alarms.create("check-storage-usage", { delayInMinutes: 1, periodInMinutes: 60 });
+}
+
+browser.alarms.onAlarm.addListener((alarm) => {
+	if (alarm.name === "empty-expired-trash") {
+		emptyExpiredTrash();
+	} else if (alarm.name === "check-storage-usage") {
+		checkStorageUsage();
+	} else if (alarm.name === "apply-retention-policy") {
+		applyRetentionPolicy();
+	} else if (alarm.name === "archive-idle-tabs") {
+		archiveIdleTabs();
+	} else if (alarm.name === "run-scheduled-backup") {
+		backups.runScheduledBackup();
+	}
+});
+
+browser.storage.sync.onChanged.addListener((changes) => {
+	if (changes.archiveSettings) {
+		checkStorageUsage();
+	}
+});
+
 browser.runtime.onStartup.addListener(async () => {
 	debugh.log("Browser was just started. Running open window check.");
+	scheduleTrashEmptying();
+	scheduleStorageUsageCheck();
+	scheduleRetentionPolicy();
+	scheduleIdleTabsCheck();
+	scheduleBackups();
 	await initializeAllOpenWindows();
 });
 
 browser.runtime.onInstalled.addListener(async () => {
 	debugh.log("Extension was just installed. Running open window check.");
+	scheduleTrashEmptying();
+	scheduleStorageUsageCheck();
+	scheduleRetentionPolicy();
+	scheduleIdleTabsCheck();
+	scheduleBackups();
 	await initializeAllOpenWindows();
 });
 
@@ -38,6 +38,54 @@ async function archiveTabs(tabs, origin) {
 	spinnerRoot.hidden = true;
 }
 
+// Windows can opt out of having their idle tabs archived. The choice is stored along with
+// the window's session data, so it survives restoring the window in a later session.
+async function initializeIdleTabsSection() {
+	const archiveSettings = await settings.archiveSettings;
+	
+	if (!archiveSettings.contextSpecificSettings.idleTabs.archiveIdleTabs) {
+		return;
+	}
+	
+	const currentWindow = await browser.windows.getCurrent();
+	let windowData = null;
+	
+	try {
+		windowData = await browser.sessions.getWindowValue(currentWindow.id, "phantabular");
+	} catch {}
+	
+	archiveIdleTabsInWindowCheckbox.checked = !(windowData && windowData.idleTabsOptOut);
+	idleTabsSection.hidden = false;
+	updateMaxHeight();
+}
+
+async function setIdleTabsOptOut(optOut) {
+	const currentWindow = await browser.windows.getCurrent();
+	let windowData = null;
+	
+	try {
+		windowData = await browser.sessions.getWindowValue(currentWindow.id, "phantabular");
+	} catch {}
+	
+	if (!windowData) {
+		windowData = {
+			version: 0,
+			sessionDate: Date.now()
+		};
+	}
+	
+	windowData.idleTabsOptOut = optOut;
+	
+	debugh.log("Setting idle tabs opt-out of window", currentWindow.id, "to", optOut);
+	await browser.sessions.setWindowValue(currentWindow.id, "phantabular", windowData);
+}
+
+document.addEventListener("change", (e) => {
+	if (e.target === archiveIdleTabsInWindowCheckbox) {
+		setIdleTabsOptOut(!archiveIdleTabsInWindowCheckbox.checked);
+	}
+});
+
 document.addEventListener("click", async (e) => {
 	if (e.target.tagName !== "BUTTON" || !e.target.closest("#popupContentRoot")) {
 		return;
@@ -144,3 +192,5 @@ document.addEventListener("DOMContentLoaded", updateMaxHeight);
 window.onresize = () => {
 	updateMaxHeight();
 };
+
+initializeIdleTabsSection();
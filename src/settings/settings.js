@@ -1,14 +1,30 @@
 import debugh from "../shared/debughelper.mjs";
 import settings from "../shared/settings.mjs";
 import db from "../shared/database.mjs";
+import ruleeval from "../shared/rules.mjs";
+import localcache from "../shared/localcache.mjs";
+import backups from "../shared/backups.mjs";
+import { escapeHTML } from "../shared/htmlhelpers.mjs";
 
 let previewImageTimer = null;
 let hasCapturePermission = false;
+
+// Number of entries listed per table in the storage report.
+const storageReportListLength = 20;
+// Number of tabs and sessions listed in the retention policy preview.
+const retentionPreviewListLength = 50;
 	
 function initializeForms(archiveSettings, viewSettings, openSettings) {
 	noDuplicateUrlsCheckbox.checked = archiveSettings.noDuplicateUrls;
 	onlyStoreLatestSessionCheckbox.checked = archiveSettings.onlyStoreLatestSession;
 	
+	ignoreWwwCheckbox.checked = archiveSettings.urlNormalization.ignoreWww;
+	ignoreTrailingSlashesCheckbox.checked = archiveSettings.urlNormalization.ignoreTrailingSlashes;
+	ignoreFragmentsCheckbox.checked = archiveSettings.urlNormalization.ignoreFragments;
+	sortQueryParametersCheckbox.checked = archiveSettings.urlNormalization.sortQueryParameters;
+	stripTrackingParametersCheckbox.checked = archiveSettings.urlNormalization.stripTrackingParameters;
+	trackingParametersTextarea.value = archiveSettings.urlNormalization.trackingParameters;
+	
 	savePreviewImagesCheckbox.checked = archiveSettings.savePreviewImages;
 	previewImageFormatSelect.value = archiveSettings.previewImageFormat;
 	previewImageQualityRange.value = archiveSettings.previewImageQuality;
@@ -16,6 +32,19 @@ function initializeForms(archiveSettings, viewSettings, openSettings) {
 	previewImageScaleRange.value = archiveSettings.previewImageScale * 100;
 	previewImageScaleNumber.value = archiveSettings.previewImageScale * 100;
 	
+	savePageTextsCheckbox.checked = archiveSettings.savePageTexts;
+	
+	trashRetentionDaysNumber.value = archiveSettings.trashRetentionDays;
+	retentionEnabledCheckbox.checked = archiveSettings.retentionPolicy.enabled;
+	retentionMaxTabAgeDaysNumber.value = archiveSettings.retentionPolicy.maxTabAgeDays;
+	retentionMaxSessionCountNumber.value = archiveSettings.retentionPolicy.maxSessionCount;
+	retentionMoveToTrashCheckbox.checked = archiveSettings.retentionPolicy.moveToTrash;
+	storageWarningThresholdNumber.value = archiveSettings.storageWarningThresholdMegabytes;
+	backupsEnabledCheckbox.checked = archiveSettings.backups.enabled;
+	backupIntervalSelect.value = archiveSettings.backups.interval;
+	backupSubfolderText.value = archiveSettings.backups.subfolder;
+	backupKeepCountNumber.value = archiveSettings.backups.keepCount;
+	
 	for (const contextName in archiveSettings.contextSpecificSettings) {
 		const contextSpecificSettings = archiveSettings.contextSpecificSettings[contextName];
 		
@@ -40,6 +69,9 @@ function initializeForms(archiveSettings, viewSettings, openSettings) {
 		}
 	}
 	
+	idleTabsIdleMinutesNumber.value = archiveSettings.contextSpecificSettings.idleTabs.idleMinutes;
+	idleTabsExclusionRuleTextarea.value = archiveSettings.contextSpecificSettings.idleTabs.exclusionRule;
+	
 	initialActionsPanelStateSelect.value = viewSettings.initialActionsPanelState;
 	reverseTabOrderCheckbox.checked = viewSettings.reverseTabOrder;
 	
@@ -67,14 +99,39 @@ async function saveChanges() {
 	const viewSettings = await settings.viewSettings;
 	const openSettings = await settings.openSettings;
 	
+	const previousUrlNormalization = JSON.stringify(archiveSettings.urlNormalization);
+	
 	archiveSettings.noDuplicateUrls = noDuplicateUrlsCheckbox.checked;
 	archiveSettings.onlyStoreLatestSession = onlyStoreLatestSessionCheckbox.checked;
 	
+	archiveSettings.urlNormalization.ignoreWww = ignoreWwwCheckbox.checked;
+	archiveSettings.urlNormalization.ignoreTrailingSlashes = ignoreTrailingSlashesCheckbox.checked;
+	archiveSettings.urlNormalization.ignoreFragments = ignoreFragmentsCheckbox.checked;
+	archiveSettings.urlNormalization.sortQueryParameters = sortQueryParametersCheckbox.checked;
+	archiveSettings.urlNormalization.stripTrackingParameters = stripTrackingParametersCheckbox.checked;
+	archiveSettings.urlNormalization.trackingParameters = trackingParametersTextarea.value.split("\n")
+		.map((line) => line.trim())
+		.filter((line) => line.length > 0)
+		.join("\n");
+	
 	archiveSettings.savePreviewImages = savePreviewImagesCheckbox.checked;
 	archiveSettings.previewImageFormat = previewImageFormatSelect.value;
 	archiveSettings.previewImageQuality = parseInt(previewImageQualityNumber.value);
 	archiveSettings.previewImageScale = parseInt(previewImageScaleNumber.value) / 100;
 	
+	archiveSettings.savePageTexts = savePageTextsCheckbox.checked;
+	
+	archiveSettings.trashRetentionDays = Math.max(parseInt(trashRetentionDaysNumber.value) || 0, 0);
+	archiveSettings.retentionPolicy.enabled = retentionEnabledCheckbox.checked;
+	archiveSettings.retentionPolicy.maxTabAgeDays = Math.max(parseInt(retentionMaxTabAgeDaysNumber.value) || 0, 0);
+	archiveSettings.retentionPolicy.maxSessionCount = Math.max(parseInt(retentionMaxSessionCountNumber.value) || 0, 0);
+	archiveSettings.retentionPolicy.moveToTrash = retentionMoveToTrashCheckbox.checked;
+	archiveSettings.storageWarningThresholdMegabytes = Math.max(parseInt(storageWarningThresholdNumber.value) || 0, 0);
+	archiveSettings.backups.enabled = backupsEnabledCheckbox.checked;
+	archiveSettings.backups.interval = backupIntervalSelect.value;
+	archiveSettings.backups.subfolder = backupSubfolderText.value.trim();
+	archiveSettings.backups.keepCount = Math.max(parseInt(backupKeepCountNumber.value) || 1, 1);
+	
 	for (const contextName in archiveSettings.contextSpecificSettings) {
 		const contextSpecificSettings = archiveSettings.contextSpecificSettings[contextName];
 		
@@ -95,6 +152,9 @@ async function saveChanges() {
 		}
 	}
 	
+	archiveSettings.contextSpecificSettings.idleTabs.idleMinutes = Math.max(parseInt(idleTabsIdleMinutesNumber.value) || 1, 1);
+	archiveSettings.contextSpecificSettings.idleTabs.exclusionRule = idleTabsExclusionRuleTextarea.value;
+	
 	viewSettings.initialActionsPanelState = initialActionsPanelStateSelect.value;
 	viewSettings.reverseTabOrder = reverseTabOrderCheckbox.checked;
 	
@@ -105,7 +165,12 @@ async function saveChanges() {
 	openSettings.tabOpenPosition = tabOpenPositionSelect.value;
 	openSettings.confirmTabDeletion = confirmTabDeletionCheckbox.checked;
 	
-	settings.update();
+	await settings.update();
+	
+	// Existing tabs are looked up by their stored normalized URL, so it has to follow the rules.
+	if (JSON.stringify(archiveSettings.urlNormalization) !== previousUrlNormalization) {
+		await db.updateNormalizedUrls();
+	}
 }
 
 function setLabelDisabled(label, disabled) {	
@@ -133,6 +198,10 @@ async function updateFormActivityStates() {
 			canChangeSettings = false;
 		}
 		
+		if (contextName === "idleTabs" && !window[`${contextName}_archiveIdleTabs_checkbox`].checked) {
+			canChangeSettings = false;
+		}
+		
 		setSettingEnabled(`${contextName}_autoCloseArchivedTabs`, canChangeSettings);
 		
 		for (const tabName in contextSpecificSettings.tabSpecificSettings) {
@@ -148,6 +217,34 @@ async function updateFormActivityStates() {
 		}
 	}
 	
+	const idleTabsEnabled = archiveSettings.contextSpecificSettings.idleTabs.archiveIdleTabs;
+	
+	setLabelDisabled(idleTabsIdleMinutesLabel, !idleTabsEnabled);
+	idleTabsIdleMinutesNumber.disabled = !idleTabsEnabled;
+	setLabelDisabled(idleTabsExclusionRuleLabel, !idleTabsEnabled);
+	idleTabsExclusionRuleTextarea.disabled = !idleTabsEnabled;
+	
+	const backupsEnabled = archiveSettings.backups.enabled;
+	
+	setLabelDisabled(backupIntervalLabel, !backupsEnabled);
+	backupIntervalSelect.disabled = !backupsEnabled;
+	setLabelDisabled(backupSubfolderLabel, !backupsEnabled);
+	backupSubfolderText.disabled = !backupsEnabled;
+	setLabelDisabled(backupKeepCountLabel, !backupsEnabled);
+	backupKeepCountNumber.disabled = !backupsEnabled;
+	
+	const retentionEnabled = archiveSettings.retentionPolicy.enabled;
+	
+	setLabelDisabled(retentionMaxTabAgeDaysLabel, !retentionEnabled);
+	retentionMaxTabAgeDaysNumber.disabled = !retentionEnabled;
+	setLabelDisabled(retentionMaxSessionCountLabel, !retentionEnabled);
+	retentionMaxSessionCountNumber.disabled = !retentionEnabled;
+	setLabelDisabled(retentionMoveToTrashLabel, !retentionEnabled);
+	retentionMoveToTrashCheckbox.disabled = !retentionEnabled;
+	
+	setLabelDisabled(trackingParametersLabel, !archiveSettings.urlNormalization.stripTrackingParameters);
+	trackingParametersTextarea.disabled = !archiveSettings.urlNormalization.stripTrackingParameters;
+	
 	const showPreviewImageFormatSelection = archiveSettings.savePreviewImages;
 	const showPreviewImageQualitySelection = showPreviewImageFormatSelection && archiveSettings.previewImageFormat == "jpeg";
 	const showPreviewImageScaleSelection = showPreviewImageFormatSelection;
@@ -186,6 +283,136 @@ function toReadableFileSize(sizeInBytes, decimalPlaces=2) {
 	return sizeInBytes.toFixed(decimalPlaces) + ' ' + unitSuffixes[unitIndex];
 }
 
+function createStorageReportTable(title, headers, rows) {
+	const headerCells = headers.map((header) => `<th>${header}</th>`).join("");
+	const rowElements = rows.map((row) => {
+		return `<tr>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`;
+	}).join("");
+	
+	return `
+		<h4>${title}</h4>
+		<table class="storage-report-table colorize-table">
+			<tr>${headerCells}</tr>
+			${rowElements}
+		</table>
+	`;
+}
+
+async function updateBackupStatus() {
+	const backupCache = await localcache.backups;
+	
+	let statusText = "No backups created yet.";
+	
+	if (backupCache.lastSuccessDate > 0) {
+		statusText = `Last backup created on ${new Date(backupCache.lastSuccessDate).toLocaleString()} ("${backupCache.lastFilename}").`;
+	}
+	
+	if (backupCache.lastError !== "" && backupCache.lastAttemptDate > backupCache.lastSuccessDate) {
+		statusText += ` The last attempt on ${new Date(backupCache.lastAttemptDate).toLocaleString()} failed: ${backupCache.lastError}`;
+	}
+	
+	backupStatusLabel.textContent = statusText;
+}
+
+async function requestDownloadingPermissions() {
+	const permissionsToRequest = {
+		permissions: ["downloads"]
+	}
+	
+	return browser.permissions.request(permissionsToRequest);
+}
+
+browser.storage.local.onChanged.addListener((changes) => {
+	if (changes.backups) {
+		updateBackupStatus();
+	}
+});
+
+updateBackupStatus();
+
+// Invalid exclusion rules don't exclude any tabs, so point them out right away.
+async function validateIdleTabsExclusionRule() {
+	const rule = idleTabsExclusionRuleTextarea.value;
+	
+	idleTabsExclusionRuleError.hidden = true;
+	
+	if (!/\S/.test(rule)) {
+		return;
+	}
+	
+	try {
+		const activeTab = (await browser.tabs.query({ active: true, currentWindow: true }))[0];
+		await ruleeval.validateRule(rule, activeTab);
+	} catch (error) {
+		idleTabsExclusionRuleError.textContent = "The rule is invalid: " + error.message;
+		idleTabsExclusionRuleError.hidden = false;
+	}
+}
+
+// Shows what the retention policy would remove with the current settings, even if it's disabled,
+// so that it can be checked before turning it on.
+async function previewRetentionPolicy() {
+	retentionPreview.hidden = false;
+	retentionPreview.textContent = "Generating preview...";
+	
+	const archiveSettings = await settings.archiveSettings;
+	const retentionPolicy = Object.assign({}, archiveSettings.retentionPolicy, { enabled: true });
+	const plan = await db.getRetentionPlan(retentionPolicy);
+	
+	const tabRows = plan.tabsToDelete.slice(0, retentionPreviewListLength).map((tab) => {
+		return [ `<span title="${escapeHTML(tab.url)}">${escapeHTML(tab.title)}</span>`, new Date(db.getLastArchivalDate(tab)).toLocaleString() ];
+	});
+	
+	const sessionRows = plan.sessionsToDelete.slice(0, retentionPreviewListLength).map((session) => {
+		const sessionName = (session.name ? session.name : new Date(session.creationdate).toLocaleString());
+		return [ escapeHTML(sessionName) ];
+	});
+	
+	const sessionsBeingLeftCount = plan.tabUpdates.length;
+	
+	retentionPreview.innerHTML = `
+		<p>${plan.tabsToDelete.length} tab(s) would be ${archiveSettings.retentionPolicy.moveToTrash ? "moved to the trash" : "deleted permanently"}, ${plan.sessionsToDelete.length} session(s) would be removed and ${sessionsBeingLeftCount} tab(s) would leave expired sessions.</p>
+		${tabRows.length > 0 ? createStorageReportTable(`Expired tabs${plan.tabsToDelete.length > tabRows.length ? ` (first ${tabRows.length})` : ""}`, [ "Tab", "Last archived" ], tabRows) : ""}
+		${sessionRows.length > 0 ? createStorageReportTable(`Expired sessions${plan.sessionsToDelete.length > sessionRows.length ? ` (first ${sessionRows.length})` : ""}`, [ "Session" ], sessionRows) : ""}
+	`;
+}
+
+async function generateStorageReport() {
+	storageReport.hidden = false;
+	storageReport.textContent = "Generating report...";
+	
+	const storageEstimate = await navigator.storage.estimate();
+	const report = await db.getStorageReport(storageReportListLength);
+	
+	const categoryRows = report.categories.slice(0, storageReportListLength).map((category) => {
+		return [ (category.id === 0 ? "<i>(Uncategorized tabs)</i>" : escapeHTML(category.name)), category.tabCount, toReadableFileSize(category.size) ];
+	});
+	
+	const sessionRows = report.sessions.slice(0, storageReportListLength).map((session) => {
+		const sessionName = (session.name ? session.name : new Date(session.creationdate).toLocaleString());
+		return [ escapeHTML(sessionName), session.tabCount, toReadableFileSize(session.size) ];
+	});
+	
+	const tabRows = report.largestTabs.map((tab) => {
+		return [ `<span title="${escapeHTML(tab.url)}">${escapeHTML(tab.title)}</span>`, toReadableFileSize(tab.metadataSize), toReadableFileSize(tab.previewImageSize) ];
+	});
+	
+	storageReport.innerHTML = `
+		${createStorageReportTable("Overview", [ "", "Size" ], [
+			[ "Total storage used by the extension", toReadableFileSize(storageEstimate.usage) ],
+			[ `Tab metadata (${report.tabCount} tabs)`, toReadableFileSize(report.metadataSize) ],
+			[ `Preview images (${report.previewImageCount} images)`, toReadableFileSize(report.previewImageSize) ],
+			[ `Page texts (${report.pageTextCount} pages)`, toReadableFileSize(report.pageTextSize) ],
+			[ "Categories and sessions", toReadableFileSize(report.groupsSize) ],
+			[ "Trash", toReadableFileSize(report.trashSize) ],
+			[ "Undo history", toReadableFileSize(report.journalSize) ],
+		])}
+		${createStorageReportTable("Largest categories", [ "Category", "Tabs", "Size" ], categoryRows)}
+		${createStorageReportTable("Largest sessions", [ "Session", "Tabs", "Size" ], sessionRows)}
+		${createStorageReportTable("Largest tabs", [ "Tab", "Metadata", "Preview image" ], tabRows)}
+	`;
+}
+
 
 async function refreshPreviewImage() {
 	clearTimeout(previewImageTimer);
@@ -286,13 +513,21 @@ document.addEventListener("input", async (e) => {
 document.addEventListener("change", async (e) => {
 	// A very sucky place to have this check, but Firefox requires permission
 	// requests to always be coming directly from a user input action.
-	if (e.target == savePreviewImagesCheckbox && savePreviewImagesCheckbox.checked) {
+	if ((e.target == savePreviewImagesCheckbox && savePreviewImagesCheckbox.checked) || (e.target == savePageTextsCheckbox && savePageTextsCheckbox.checked)) {
 		await requestPreviewImageCapturePermissions();
 	}
 	
+	if (e.target == backupsEnabledCheckbox && backupsEnabledCheckbox.checked) {
+		await requestDownloadingPermissions();
+	}
+	
 	await saveChanges();
 	updateFormActivityStates();
 	refreshPreviewImage();
+	
+	if (e.target == idleTabsExclusionRuleTextarea) {
+		validateIdleTabsExclusionRule();
+	}
 });
 
 document.addEventListener("toggle", async (e) => {
@@ -311,6 +546,8 @@ document.addEventListener("click", (e) => {
 		case "reset-settings":
 			debugh.log("Resetting settings.");
 			settings.reset().then(() => {
+				db.updateNormalizedUrls();
+				
 				settings.archiveSettings.then((archiveSettings) => {
 					settings.viewSettings.then((viewSettings) => {
 						settings.openSettings.then((openSettings) => {
@@ -321,6 +558,37 @@ document.addEventListener("click", (e) => {
 			});
 			break;
 			
+		case "generate-storage-report":
+			generateStorageReport().catch((error) => {
+				debugh.error("Generating storage report failed:", error);
+				storageReport.textContent = "Generating the storage report failed: " + error;
+			});
+			break;
+			
+		case "create-backup-now":
+			// Requesting permissions needs to happen directly in response to the click.
+			requestDownloadingPermissions().then(async (granted) => {
+				if (!granted) {
+					backupStatusLabel.textContent = "Creating a backup requires the permission to download files.";
+					return;
+				}
+				
+				backupStatusLabel.textContent = "Creating backup...";
+				await backups.createBackup();
+				updateBackupStatus();
+			}).catch((error) => {
+				debugh.error("Creating backup failed:", error);
+				backupStatusLabel.textContent = "Creating backup failed: " + error;
+			});
+			break;
+			
+		case "preview-retention-policy":
+			previewRetentionPolicy().catch((error) => {
+				debugh.error("Previewing retention policy failed:", error);
+				retentionPreview.textContent = "Previewing the retention policy failed: " + error;
+			});
+			break;
+			
 		case "delete-archive":
 			debugh.log("Requesting deletion of archive.");
 			confirmArchiveDeletionDialog.showModal();
@@ -0,0 +1,224 @@
+import debugh from "./debughelper.mjs";
+import settings from "./settings.mjs";
+import localcache from "./localcache.mjs";
+import db from "./database.mjs";
+
+const backupIntervals = {
+	daily: 24 * 60 * 60 * 1000,
+	weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Downloading a blob shouldn't take long, so anything still running after this is most likely paused or stuck.
+const downloadTimeout = 5 * 60 * 1000;
+
+export class BackupScheduler {
+	async hasDownloadingPermission() {
+		return browser.permissions.contains({ permissions: ["downloads"] });
+	}
+	
+	// Backup files are kept as a JSON string of [{ downloadId, filename }], since the local cache doesn't support arrays.
+	_parseBackupFiles(backupCache) {
+		try {
+			const backupFiles = JSON.parse(backupCache.backupFiles || "[]");
+			return (Array.isArray(backupFiles) ? backupFiles : []);
+		} catch (error) {
+			debugh.error("Ignoring unreadable list of backup files:", error);
+			return [];
+		}
+	}
+	
+	// The downloads API rejects paths with empty or relative components, so strip those.
+	_getBackupPath(subfolder, filename) {
+		const pathComponents = subfolder.split(/[\\/]+/).map((component) => component.trim()).filter((component) => {
+			return component.length > 0 && component !== "." && component !== "..";
+		});
+		
+		return [...pathComponents, filename].join("/");
+	}
+	
+	// Resolves once the download is complete. Downloads that get interrupted, or that are still
+	// running (or paused) after the timeout, are treated as failed.
+	async _waitForDownload(downloadId, timeout = downloadTimeout) {
+		return new Promise((resolve, reject) => {
+			let timeoutId = null;
+			
+			const settle = (callback, value) => {
+				clearTimeout(timeoutId);
+				browser.downloads.onChanged.removeListener(onChanged);
+				callback(value);
+			};
+			
+			const onChanged = (downloadDelta) => {
+				if (downloadDelta.id !== downloadId || !downloadDelta.state) {
+					return;
+				}
+				
+				if (downloadDelta.state.current === "complete") {
+					settle(resolve);
+				} else if (downloadDelta.state.current === "interrupted") {
+					settle(reject, `The download was interrupted${downloadDelta.error ? ` (${downloadDelta.error.current})` : ""}.`);
+				}
+			};
+			
+			timeoutId = setTimeout(() => {
+				browser.downloads.cancel(downloadId).catch((error) => {
+					debugh.log("Couldn't cancel backup download", downloadId, error);
+				});
+				
+				settle(reject, `The download didn't finish within ${Math.round(timeout / 1000)} seconds.`);
+			}, timeout);
+			
+			browser.downloads.onChanged.addListener(onChanged);
+			
+			// The download might have finished before we started listening.
+			browser.downloads.search({ id: downloadId }).then((downloadItems) => {
+				if (downloadItems.length > 0 && downloadItems[0].state !== "in_progress") {
+					onChanged({ id: downloadId, state: { current: downloadItems[0].state }, error: (downloadItems[0].error ? { current: downloadItems[0].error } : undefined) });
+				}
+			}).catch((error) => {
+				settle(reject, `Couldn't check the state of the download: ${error}`);
+			});
+		});
+	}
+	
+	// Download IDs aren't stable across browser sessions, so an ID we stored might belong to
+	// an unrelated download by now. Returns the download only if it's still our backup file.
+	async _findBackupDownload(backupFile) {
+		const downloadItems = await browser.downloads.search({ id: backupFile.downloadId });
+		
+		if (downloadItems.length === 0) {
+			return null;
+		}
+		
+		const downloadItem = downloadItems[0];
+		const isBackupFile = (typeof downloadItem.filename === "string" && downloadItem.filename.endsWith(backupFile.filename) && downloadItem.byExtensionId === browser.runtime.id);
+		
+		return (isBackupFile ? downloadItem : null);
+	}
+	
+	// Deletes the oldest backup files until only the configured number of backups remains.
+	// Only files created by scheduled backups are touched, since those are the only ones we know of.
+	async _rotateBackups(backupFiles, keepCount) {
+		while (backupFiles.length > keepCount) {
+			const backupFile = backupFiles.shift();
+			
+			let downloadItem = null;
+			
+			try {
+				downloadItem = await this._findBackupDownload(backupFile);
+			} catch (error) {
+				debugh.log("Couldn't look up old backup", backupFile.filename, error);
+			}
+			
+			if (downloadItem === null) {
+				// The user might have cleared the download history, or the ID belongs to another download now.
+				debugh.log("Not removing old backup", backupFile.filename, "since its download can't be found anymore.");
+				continue;
+			}
+			
+			try {
+				await browser.downloads.removeFile(downloadItem.id);
+			} catch (error) {
+				// The user might have moved or deleted the file already.
+				debugh.log("Couldn't remove old backup", backupFile.filename, error);
+			}
+			
+			try {
+				await browser.downloads.erase({ id: downloadItem.id });
+			} catch (error) {
+				debugh.log("Couldn't erase old backup", backupFile.filename, "from the download history:", error);
+			}
+		}
+		
+		return backupFiles;
+	}
+	
+	// Exports the archive into the backup folder, records the outcome in the local cache and
+	// rotates old backups. Errors are recorded rather than thrown, so they can be shown in the settings.
+	async createBackup() {
+		const archiveSettings = await settings.archiveSettings;
+		const backupCache = await localcache.backups;
+		
+		backupCache.lastAttemptDate = Date.now();
+		
+		let objectUrl = null;
+		
+		try {
+			if (!(await this.hasDownloadingPermission())) {
+				throw("The extension doesn't have permission to download files.");
+			}
+			
+			const exportOptions = {
+				noTransaction: false,
+				numRowsPerChunk: 5,
+				prettyJson: false,
+				filter: null,
+				// The journal only makes sense for the archive it was recorded on.
+				skipTables: [ "journal" ],
+			};
+			
+			const archiveBlob = await db.export(exportOptions);
+			const filename = this._getBackupPath(archiveSettings.backups.subfolder, db.getExportFilename(new Date(backupCache.lastAttemptDate)));
+			
+			objectUrl = URL.createObjectURL(archiveBlob);
+			
+			const downloadId = await browser.downloads.download({
+				filename: filename,
+				url: objectUrl,
+				saveAs: false,
+				conflictAction: "uniquify",
+			});
+			
+			await this._waitForDownload(downloadId);
+			
+			// Conflicting names get uniquified, so the file that was actually written might have a different name.
+			const downloadItems = await browser.downloads.search({ id: downloadId });
+			const backupFile = {
+				downloadId: downloadId,
+				filename: (downloadItems.length > 0 && downloadItems[0].filename ? downloadItems[0].filename : filename),
+			};
+			
+			const backupFiles = await this._rotateBackups([...this._parseBackupFiles(backupCache), backupFile], archiveSettings.backups.keepCount);
+			
+			backupCache.lastSuccessDate = backupCache.lastAttemptDate;
+			backupCache.lastFilename = backupFile.filename;
+			backupCache.lastError = "";
+			backupCache.backupFiles = JSON.stringify(backupFiles);
+			
+			debugh.log("Created backup:", backupFile.filename);
+		} catch (error) {
+			debugh.error("Creating backup failed:", error);
+			backupCache.lastError = String(error);
+		}
+		
+		if (objectUrl !== null) {
+			URL.revokeObjectURL(objectUrl);
+		}
+		
+		await localcache.update();
+		
+		return backupCache;
+	}
+	
+	async isBackupDue() {
+		const archiveSettings = await settings.archiveSettings;
+		
+		if (!archiveSettings.backups.enabled) {
+			return false;
+		}
+		
+		const backupCache = await localcache.backups;
+		const interval = backupIntervals[archiveSettings.backups.interval] || backupIntervals.daily;
+		
+		return (Date.now() - backupCache.lastSuccessDate >= interval);
+	}
+	
+	async runScheduledBackup() {
+		if (await this.isBackupDue()) {
+			await this.createBackup();
+		}
+	}
+}
+
+export const backups = new BackupScheduler();
+export { backups as default };
@@ -0,0 +1,150 @@
+// Parses the Netscape bookmark file format, which every browser and most bookmark tools can export.
+// The format is HTML in name only (elements are rarely closed), so rather than relying on an HTML
+// parser's error recovery, we read it as a stream of the few tags that matter:
+// <DT><H3 ADD_DATE="...">Folder</H3> names the folder opened by the next <DL>, </DL> closes it again,
+// and <DT><A HREF="..." ADD_DATE="..." ICON="...">Title</A> is a bookmark within the current folder.
+const bookmarkFileDoctype = "<!DOCTYPE NETSCAPE-Bookmark-file-1>";
+
+// These can't be opened as tabs, so there's no point in importing them.
+const unsupportedUrlPrefixes = ["place:", "javascript:"];
+
+const namedEntities = {
+	amp: "&",
+	lt: "<",
+	gt: ">",
+	quot: "\"",
+	apos: "'",
+	nbsp: "\u00A0",
+};
+
+export class BookmarksHtmlParser {
+	isBookmarksHtml(text) {
+		return text.replace(/^\uFEFF/, "").trimStart().toUpperCase().startsWith(bookmarkFileDoctype.toUpperCase());
+	}
+	
+	_decodeEntities(text) {
+		return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+			if (name[0] === "#") {
+				const codePoint = (name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+				
+				try {
+					return String.fromCodePoint(codePoint);
+				} catch {
+					return entity;
+				}
+			}
+			
+			return namedEntities[name.toLowerCase()] ?? entity;
+		});
+	}
+	
+	_parseAttributes(attributesText) {
+		const attributes = {};
+		
+		for (const attributeMatch of attributesText.matchAll(/([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+			attributes[attributeMatch[1].toUpperCase()] = this._decodeEntities(attributeMatch[2] ?? attributeMatch[3] ?? attributeMatch[4]);
+		}
+		
+		return attributes;
+	}
+	
+	_stripTags(html) {
+		return this._decodeEntities(html.replace(/<[^>]*>/g, "")).replace(/\s+/g, " ").trim();
+	}
+	
+	// ADD_DATE is meant to be in seconds, but some tools write milliseconds or even microseconds.
+	_parseDate(value) {
+		const date = parseInt(value);
+		
+		if (!Number.isFinite(date) || date <= 0) {
+			return undefined;
+		}
+		
+		if (date > 1e14) {
+			return Math.floor(date / 1000);
+		} else if (date > 1e11) {
+			return date;
+		}
+		
+		return date * 1000;
+	}
+	
+	_createFolder(name, date) {
+		return {
+			name: name,
+			date: date,
+			folders: [],
+			bookmarks: [],
+		};
+	}
+	
+	// Returns the root folder of the file. Every folder looks like this:
+	// { name, date (optional), folders: [folders], bookmarks: [{ url, title, date (optional), favIconUrl (optional) }] }
+	parse(text) {
+		const rootFolder = this._createFolder("", undefined);
+		const folderStack = [];
+		
+		let currentFolder = rootFolder;
+		let pendingFolder = null;
+		let hasOpenedRootList = false;
+		
+		for (const tagMatch of text.matchAll(/<(\/?)(dl|h3|a)\b([^>]*)>([^<]*)/gi)) {
+			const isClosingTag = (tagMatch[1] === "/");
+			const tagName = tagMatch[2].toUpperCase();
+			
+			if (tagName === "DL") {
+				if (isClosingTag) {
+					if (folderStack.length > 0) {
+						currentFolder = folderStack.pop();
+					}
+				} else if (pendingFolder !== null) {
+					currentFolder.folders.push(pendingFolder);
+					folderStack.push(currentFolder);
+					currentFolder = pendingFolder;
+					pendingFolder = null;
+				} else if (hasOpenedRootList) {
+					// A list without a heading doesn't get a folder of its own, but still needs to be closed again.
+					folderStack.push(currentFolder);
+				}
+				
+				// The outermost list doesn't have a heading, it's the root folder itself.
+				hasOpenedRootList = true;
+			} else if (!isClosingTag && tagName === "H3") {
+				const attributes = this._parseAttributes(tagMatch[3]);
+				pendingFolder = this._createFolder(this._stripTags(tagMatch[4]), this._parseDate(attributes.ADD_DATE));
+			} else if (!isClosingTag && tagName === "A") {
+				const attributes = this._parseAttributes(tagMatch[3]);
+				const url = (attributes.HREF || "").trim();
+				
+				if (url.length === 0 || unsupportedUrlPrefixes.some((prefix) => url.toLowerCase().startsWith(prefix))) {
+					continue;
+				}
+				
+				const title = this._stripTags(tagMatch[4]);
+				const bookmark = {
+					url: url,
+					title: (title.length > 0 ? title : url),
+					date: this._parseDate(attributes.ADD_DATE),
+				};
+				
+				const favIconUrl = attributes.ICON || attributes.ICON_URI;
+				
+				if (favIconUrl) {
+					bookmark.favIconUrl = favIconUrl;
+				}
+				
+				currentFolder.bookmarks.push(bookmark);
+			}
+		}
+		
+		return rootFolder;
+	}
+	
+	// Counts the bookmarks of a folder, including the ones in its subfolders.
+	countBookmarks(folder) {
+		return folder.bookmarks.length + folder.folders.reduce((count, subfolder) => count + this.countBookmarks(subfolder), 0);
+	}
+}
+
+export const bookmarkshtmlparser = new BookmarksHtmlParser();
+export { bookmarkshtmlparser as default };
@@ -2,30 +2,1033 @@ import debugh from "./debughelper.mjs";
 import { Dexie, liveQuery } from "dexie";
 import settings from "./settings.mjs";
 import ruleeval from "./rules.mjs";
-import { importDB, exportDB, importInto } from "dexie-export-import";
+import urlnormalizer from "./urlnormalization.mjs";
+import searchtokenizer from "./searchtokens.mjs";
+import pagetexthelper from "./pagetexts.mjs";
+import bookmarkshtmlparser from "./bookmarkshtml.mjs";
+import { importDB, exportDB, importInto, peakImportFile } from "dexie-export-import";
 
 debugh.log("Using Dexie: v" + Dexie.semVer);
 
+// All schema versions the database has ever had, in ascending order. Once a version has been
+// released, its entry must never be modified again - any change to the schema or to the format
+// of stored rows needs a new version instead.
+// "stores" is the full schema of the respective version, in the format Dexie expects.
+// "migrations" optionally contains one function per table that upgrades a single row from the
+// previous version to this one. These functions are used both by Dexie when upgrading an existing
+// database and by importArchive() when importing an export created by an older version of the
+// extension, so they must only ever depend on the row that gets passed in. In case a migration
+// needs to create rows in a different table, it can call addRow(tableName, row) to do so.
+const schemaVersions = [
+	{
+		version: 1,
+		stores: {
+			categories: '++id, name', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey
+			tabs: '++id, url, title, *categories, *sessions' // non-indexed fields: metadata, sortkey, previewimageurl (optional)
+		},
+		migrations: {},
+	},
+	{
+		version: 2,
+		stores: {
+			categories: '++id, name', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey
+			tabs: '++id, url, title, *categories, *sessions' // non-indexed fields: metadata, sortkey, history, previewimageurl (optional)
+		},
+		migrations: {
+			// Tabs now keep a history of every time they were archived. For tabs archived before that,
+			// the best we can do is reconstruct a single entry from the data we still have.
+			tabs: (tab, addRow) => {
+				if (!Array.isArray(tab.history)) {
+					const historyEntry = {
+						timestamp: (tab.sortkey && tab.sortkey.keyHigh !== undefined ? tab.sortkey.keyHigh : Date.now()),
+						origin: "unknown",
+						title: tab.title,
+						sessionDate: undefined
+					};
+					
+					if (tab.sessions.length > 0) {
+						historyEntry.sessionDate = Math.max(...tab.sessions);
+					}
+					
+					tab.history = [ historyEntry ];
+				}
+				
+				return tab;
+			},
+		},
+	},
+	{
+		version: 3,
+		stores: {
+			categories: '++id, name', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey
+			tabs: '++id, url, title, *categories, *sessions, *tags' // non-indexed fields: metadata, sortkey, history, note, previewimageurl (optional)
+		},
+		migrations: {
+			tabs: (tab, addRow) => {
+				if (typeof tab.note !== "string") {
+					tab.note = "";
+				}
+				
+				if (!Array.isArray(tab.tags)) {
+					tab.tags = [];
+				}
+				
+				return tab;
+			},
+		},
+	},
+	{
+		version: 4,
+		stores: {
+			categories: '++id, name', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey
+			tabs: '++id, url, title, *categories, *sessions, *tags', // non-indexed fields: metadata, sortkey, history, note, previewimageurl (optional)
+			trash: '++id, deletiondate' // non-indexed fields: type, sortkey, categories, sessions, tabs, linkedTabIds
+		},
+		migrations: {},
+	},
+	{
+		version: 5,
+		stores: {
+			categories: '++id, name', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey
+			tabs: '++id, url, title, *categories, *sessions, *tags', // non-indexed fields: metadata, sortkey, history, note, previewimageurl (optional)
+			trash: '++id, deletiondate', // non-indexed fields: type, sortkey, categories, sessions, tabs, linkedTabIds
+			journal: '++id, state' // non-indexed fields: timestamp, description, changes
+		},
+		migrations: {},
+	},
+	{
+		version: 6,
+		stores: {
+			categories: '++id, name, parentId', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey
+			tabs: '++id, url, title, *categories, *sessions, *tags', // non-indexed fields: metadata, sortkey, history, note, previewimageurl (optional)
+			trash: '++id, deletiondate', // non-indexed fields: type, sortkey, categories, sessions, tabs, linkedTabIds, linkedCategoryIds
+			journal: '++id, state' // non-indexed fields: timestamp, description, changes
+		},
+		migrations: {
+			// Categories can now be nested. A parentId of 0 means the category is at the top level.
+			categories: (category, addRow) => {
+				if (category.parentId === undefined) {
+					category.parentId = 0;
+				}
+				
+				return category;
+			},
+			trash: (trashEntry, addRow) => {
+				for (const category of trashEntry.categories) {
+					if (category.parentId === undefined) {
+						category.parentId = 0;
+					}
+				}
+				
+				if (!Array.isArray(trashEntry.linkedCategoryIds)) {
+					trashEntry.linkedCategoryIds = [];
+				}
+				
+				return trashEntry;
+			},
+		},
+	},
+	{
+		version: 7,
+		stores: {
+			categories: '++id, name, parentId', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey, name, description
+			tabs: '++id, url, title, *categories, *sessions, *tags', // non-indexed fields: metadata, sortkey, history, note, previewimageurl (optional)
+			trash: '++id, deletiondate', // non-indexed fields: type, sortkey, categories, sessions, tabs, linkedTabIds, linkedCategoryIds
+			journal: '++id, state' // non-indexed fields: timestamp, description, changes
+		},
+		migrations: {
+			// Sessions can now be given a name and a description by the user. Unnamed sessions
+			// are displayed by their creation date, like before.
+			sessions: (session, addRow) => {
+				return migrateSessionToV7(session);
+			},
+			trash: (trashEntry, addRow) => {
+				trashEntry.sessions = trashEntry.sessions.map(migrateSessionToV7);
+				return trashEntry;
+			},
+		},
+	},
+	{
+		version: 8,
+		stores: {
+			categories: '++id, name, parentId', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey, name, description
+			tabs: '++id, url, normalizedurl, title, *categories, *sessions, *tags', // non-indexed fields: metadata, sortkey, history, note, previewimageurl (optional)
+			trash: '++id, deletiondate', // non-indexed fields: type, sortkey, categories, sessions, tabs, linkedTabIds, linkedCategoryIds
+			journal: '++id, state' // non-indexed fields: timestamp, description, changes
+		},
+		migrations: {
+			// Duplicate detection now compares normalized URLs. Nobody can have customized the
+			// normalization rules before this version, so the default rules are the right ones here.
+			tabs: (tab, addRow) => {
+				return migrateTabToV8(tab);
+			},
+			trash: (trashEntry, addRow) => {
+				trashEntry.tabs = trashEntry.tabs.map(migrateTabToV8);
+				return trashEntry;
+			},
+		},
+	},
+	{
+		version: 9,
+		stores: {
+			categories: '++id, name, parentId', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey, name, description
+			tabs: '++id, url, normalizedurl, title, *categories, *sessions, *tags', // non-indexed fields: metadata, sortkey, history, note
+			previewimages: '&tabid', // non-indexed fields: image
+			trash: '++id, deletiondate', // non-indexed fields: type, sortkey, categories, sessions, tabs, previewimages, linkedTabIds, linkedCategoryIds
+			journal: '++id, state' // non-indexed fields: timestamp, description, changes
+		},
+		migrations: {
+			// Preview images used to be stored as data URLs inside the tab rows, so every query
+			// for tabs had to load them. They now live in their own table, stored as Blobs.
+			tabs: (tab, addRow) => {
+				return migrateTabToV9(tab, (previewImage) => {
+					addRow("previewimages", previewImage);
+				});
+			},
+			trash: (trashEntry, addRow) => {
+				if (!Array.isArray(trashEntry.previewimages)) {
+					trashEntry.previewimages = [];
+				}
+				
+				trashEntry.tabs = trashEntry.tabs.map((tab) => {
+					return migrateTabToV9(tab, (previewImage) => {
+						trashEntry.previewimages.push(previewImage);
+					});
+				});
+				
+				return trashEntry;
+			},
+		},
+	},
+	{
+		version: 10,
+		stores: {
+			categories: '++id, name, parentId', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey, name, description
+			tabs: '++id, url, normalizedurl, title, *categories, *sessions, *tags, *searchtokens', // non-indexed fields: metadata, sortkey, history, note
+			previewimages: '&tabid', // non-indexed fields: image
+			trash: '++id, deletiondate', // non-indexed fields: type, sortkey, categories, sessions, tabs, previewimages, linkedTabIds, linkedCategoryIds
+			journal: '++id, state' // non-indexed fields: timestamp, description, changes
+		},
+		migrations: {
+			// Searching the archive now goes through an index of the words in each tab's URL, title,
+			// note and tags. The hooks set up in the constructor keep it up to date from here on.
+			tabs: (tab, addRow) => {
+				tab.searchtokens = searchtokenizer.getTabTokens(tab);
+				return tab;
+			},
+		},
+	},
+	{
+		version: 11,
+		stores: {
+			categories: '++id, name, parentId', // non-indexed fields: color, rule, sortkey
+			sessions: '&creationdate', // non-indexed fields: sortkey, name, description
+			tabs: '++id, url, normalizedurl, title, *categories, *sessions, *tags, *searchtokens', // non-indexed fields: metadata, sortkey, history, note
+			previewimages: '&tabid', // non-indexed fields: image
+			favicons: '&origin', // non-indexed fields: image, sourceurl, timestamp
+			trash: '++id, deletiondate', // non-indexed fields: type, sortkey, categories, sessions, tabs, previewimages, linkedTabIds, linkedCategoryIds
+			journal: '++id, state' // non-indexed fields: timestamp, description, changes
+		},
+		migrations: {
+			// Favicons are now cached locally, once per origin. Favicons that were stored as data URLs
+			// can go into the cache right away, remote ones need to be fetched via cacheFavicons().
+			tabs: (tab, addRow) => {
+				const favIconUrl = tab.metadata.favIconUrl;
+				const origin = getFaviconOrigin(tab.url);
+				
+				if (origin !== undefined && typeof favIconUrl === "string" && favIconUrl.startsWith("data:")) {
+					try {
+						addRow("favicons", {
+							origin: origin,
+							image: dataUrlToBlob(favIconUrl),
+							sourceurl: favIconUrl,
+							timestamp: (tab.sortkey && tab.sortkey.keyHigh !== undefined ? tab.sortkey.keyHigh : 0)
+						});
+					} catch (error) {
+						debugh.error("Not caching unreadable favicon of tab", tab.id, error);
+					}
+				}
+				
+				return tab;
+			},
+		},
+	},
+	{
+		version: 12,
+		stores: {
+			categories: '++id, name, parentId', // non-indexed fields: color, rule, sortkey, pinned, retentionDays
+			sessions: '&creationdate', // non-indexed fields: sortkey, name, description
+			tabs: '++id, url, normalizedurl, title, *categories, *sessions, *tags, *searchtokens', // non-indexed fields: metadata, sortkey, history, note
+			previewimages: '&tabid', // non-indexed fields: image
+			pagetexts: '&tabid, *searchtokens', // non-indexed fields: text, timestamp
+			favicons: '&origin', // non-indexed fields: image, sourceurl, timestamp
+			trash: '++id, deletiondate', // non-indexed fields: type, sortkey, categories, sessions, tabs, previewimages, pagetexts, linkedTabIds, linkedCategoryIds
+			journal: '++id, state' // non-indexed fields: timestamp, description, changes
+		},
+		migrations: {},
+	},
+];
+
+function migrateSessionToV7(session) {
+	if (typeof session.name !== "string") {
+		session.name = "";
+	}
+	
+	if (typeof session.description !== "string") {
+		session.description = "";
+	}
+	
+	return session;
+}
+
+function migrateTabToV8(tab) {
+	if (typeof tab.normalizedurl !== "string") {
+		tab.normalizedurl = urlnormalizer.normalize(tab.url);
+	}
+	
+	return tab;
+}
+
+function migrateTabToV9(tab, addPreviewImage) {
+	if (tab.previewimageurl !== undefined) {
+		try {
+			addPreviewImage({ tabid: tab.id, image: dataUrlToBlob(tab.previewimageurl) });
+		} catch (error) {
+			// A broken preview image isn't worth failing the whole migration for.
+			debugh.error("Dropping unreadable preview image of tab", tab.id, error);
+		}
+		
+		delete tab.previewimageurl;
+	}
+	
+	return tab;
+}
+
+// Favicons are cached per origin. Returns undefined for URLs that don't have a meaningful origin.
+function getFaviconOrigin(url) {
+	try {
+		const origin = new URL(url).origin;
+		
+		if (origin !== "null") {
+			return origin;
+		}
+	} catch {}
+	
+	return undefined;
+}
+
+// Preview images get captured as data URLs, but are stored as Blobs, which take up less space.
+function dataUrlToBlob(dataUrl) {
+	const separatorIndex = dataUrl.indexOf(",");
+	
+	if (!dataUrl.startsWith("data:") || separatorIndex === -1) {
+		throw(`Not a valid data URL.`);
+	}
+	
+	const header = dataUrl.slice("data:".length, separatorIndex);
+	const data = dataUrl.slice(separatorIndex + 1);
+	const mimeType = header.split(";")[0];
+	
+	let bytes = null;
+	
+	if (header.endsWith(";base64")) {
+		bytes = Uint8Array.from(atob(data), (character) => character.charCodeAt(0));
+	} else {
+		bytes = new TextEncoder().encode(decodeURIComponent(data));
+	}
+	
+	return new Blob([bytes], { type: mimeType });
+}
+
+// IndexedDB doesn't tell us how much space individual rows take up, so we estimate it from their
+// serialized size. Blobs are counted by their actual size instead of their (empty) serialization.
+function estimateStoredSize(value) {
+	let blobSize = 0;
+	
+	const serializedValue = JSON.stringify(value, (key, nestedValue) => {
+		if (nestedValue instanceof Blob) {
+			blobSize += nestedValue.size;
+			return null;
+		}
+		
+		return nestedValue;
+	});
+	
+	return new TextEncoder().encode(serializedValue).length + blobSize;
+}
+
+// Compares two rows as read from the database. Blobs read from IndexedDB are new objects every time,
+// so they're compared by their size and type. Properties that are undefined count as missing.
+function isSameRow(row, otherRow) {
+	if (row instanceof Blob || otherRow instanceof Blob) {
+		return (row instanceof Blob && otherRow instanceof Blob && row.size === otherRow.size && row.type === otherRow.type);
+	}
+	
+	if (typeof row !== "object" || typeof otherRow !== "object" || row === null || otherRow === null) {
+		return Object.is(row, otherRow);
+	}
+	
+	if (Array.isArray(row) !== Array.isArray(otherRow)) {
+		return false;
+	}
+	
+	const keys = new Set([...Object.keys(row), ...Object.keys(otherRow)]);
+	
+	for (const key of keys) {
+		if (!isSameRow(row[key], otherRow[key])) {
+			return false;
+		}
+	}
+	
+	return true;
+}
+
+// Fields of tabs that the search tokens are created from.
+const searchTokenSourceFields = [ "url", "title", "note", "tags" ];
+
+// Tables whose changes get recorded by recordUndoableOperation(). The journal itself
+// is deliberately not part of this.
+const journaledTableNames = [ "categories", "sessions", "tabs", "previewimages", "pagetexts", "trash" ];
+
+// Tables with rows that belong to individual tabs, keyed by the tab's ID. These rows get deleted,
+// trashed, copied and merged along with their tabs.
+const tabAttachmentTableNames = [ "previewimages", "pagetexts" ];
+
+// Maximum number of operations kept in the journal. Older ones can't be undone anymore.
+const maxJournalLength = 100;
+
+// Favicons are fetched from remote servers, which might be slow or not respond at all.
+const faviconFetchTimeout = 10 * 1000;
+const maxConcurrentFaviconFetches = 4;
+
 export class PhanTabularDB extends Dexie {
 	constructor() {
 		super('PhanTabularDB');
+		
+		// Maps IndexedDB transactions to the list of changes recorded within them.
+		// Nested Dexie transactions share the IndexedDB transaction of their parent,
+		// so this also catches changes made by nested helpers like deleteTabs().
+		this._journalRecordings = new WeakMap();
+		this._journalHooksInitialized = false;
 
-		this.version(1).stores({
-			categories: '++id, name', // non-indexed fields: color, rule, sortkey
-			sessions: '&creationdate', // non-indexed fields: sortkey
-			tabs: '++id, url, title, *categories, *sessions' // non-indexed fields: metadata, sortkey, previewimageurl (optional)
+		for (const schemaVersion of schemaVersions) {
+			const dexieVersion = this.version(schemaVersion.version).stores(schemaVersion.stores);
+			
+			if (Object.keys(schemaVersion.migrations).length > 0) {
+				dexieVersion.upgrade(async (tx) => {
+					await this._runMigrationsForUpgrade(tx, schemaVersion);
+				});
+			}
+		}
+		
+		this._initializeSearchIndexHooks();
+	}
+	
+	// The search tokens of a tab are stored in a multi-entry index of the tabs table itself. That way,
+	// IndexedDB keeps the index consistent for us, and all that's left to do is to recreate the tokens
+	// whenever a tab is written. Since this happens in hooks, writes from anywhere are covered.
+	_initializeSearchIndexHooks() {
+		this.tabs.hook("creating", (primKey, tab, transaction) => {
+			tab.searchtokens = searchtokenizer.getTabTokens(tab);
+		});
+		
+		this.tabs.hook("updating", (modifications, primKey, tab, transaction) => {
+			const affectsSearchTokens = Object.keys(modifications).some((keyPath) => {
+				return searchTokenSourceFields.includes(keyPath.split(".")[0]);
+			});
+			
+			if (!affectsSearchTokens) {
+				return undefined;
+			}
+			
+			const updatedTab = structuredClone(tab);
+			for (const keyPath in modifications) {
+				Dexie.setByKeyPath(updatedTab, keyPath, modifications[keyPath]);
+			}
+			
+			return { searchtokens: searchtokenizer.getTabTokens(updatedTab) };
+		});
+	}
+	
+	// Returns the IDs of all tabs that match each of the search strings. A search string matches a tab
+	// if every one of its words is the beginning of a word in the tab's URL, title, note, tags or page text.
+	async findTabIdsBySearch(searchStrings) {
+		const searchTokens = new Set();
+		
+		for (const searchString of searchStrings) {
+			for (const searchToken of searchtokenizer.tokenize(searchString)) {
+				searchTokens.add(searchToken);
+			}
+		}
+		
+		// Search strings without any words (like "/") don't restrict the result.
+		if (searchTokens.size === 0) {
+			return new Set(await this.tabs.toCollection().primaryKeys());
+		}
+		
+		let matchingTabIds = null;
+		
+		for (const searchToken of searchTokens) {
+			const tabIdsForToken = new Set(await this.tabs.where("searchtokens").startsWith(searchToken).primaryKeys());
+			
+			for (const tabId of await this.pagetexts.where("searchtokens").startsWith(searchToken).primaryKeys()) {
+				tabIdsForToken.add(tabId);
+			}
+			
+			if (matchingTabIds === null) {
+				matchingTabIds = tabIdsForToken;
+			} else {
+				matchingTabIds = new Set([...matchingTabIds].filter((tabId) => tabIdsForToken.has(tabId)));
+			}
+			
+			if (matchingTabIds.size === 0) {
+				break;
+			}
+		}
+		
+		return matchingTabIds;
+	}
+	
+	// Returns the keys of a multi-entry index of the tabs ("categories" or "sessions") that any of the given
+	// tabs (a Set of IDs) belong to. Only the index gets read, so the tabs themselves never need to be loaded.
+	async getGroupKeysOfTabs(indexName, tabIds) {
+		const groupKeys = new Set();
+		
+		if (tabIds.size === 0) {
+			return groupKeys;
+		}
+		
+		await this.tabs.orderBy(indexName).eachKey((groupKey, cursor) => {
+			if (tabIds.has(cursor.primaryKey)) {
+				groupKeys.add(groupKey);
+			}
+		});
+		
+		return groupKeys;
+	}
+	
+	getExportFilename(date = new Date(), extension = "json") {
+		const day = String(date.getDate()).padStart(2, '0');
+		const month = String(date.getMonth() + 1).padStart(2, '0');
+		const year = date.getFullYear();
+		
+		const hours = String(date.getHours()).padStart(2, '0');
+		const minutes = String(date.getMinutes()).padStart(2, '0');
+		const seconds = String(date.getSeconds()).padStart(2, '0');
+		
+		const dateTimeStamp = `${year}-${month}-${day}--${hours}-${minutes}-${seconds}`;
+		
+		return `Phantabular-Archive--${dateTimeStamp}.${extension}`;
+	}
+	
+	// Returns a filter for export() that only writes the tabs of the given categories and sessions, along with
+	// everything these tabs reference, so that the export can be imported without leaving dangling IDs behind.
+	// The trash is left out, since its entries might reference anything.
+	async getExportFilter(categoryIds, sessionDates) {
+		const categoriesById = new Map((await this.categories.toArray()).map((category) => [category.id, category]));
+		
+		const tabs = [
+			...(await this.tabs.where("categories").anyOf(categoryIds).toArray()),
+			...(await this.tabs.where("sessions").anyOf(sessionDates).toArray()),
+		];
+		
+		const tabIds = new Set();
+		const referencedCategoryIds = new Set(categoryIds);
+		const referencedSessionDates = new Set(sessionDates);
+		const faviconOrigins = new Set();
+		
+		for (const tab of tabs) {
+			tabIds.add(tab.id);
+			tab.categories.forEach((categoryId) => referencedCategoryIds.add(categoryId));
+			tab.sessions.forEach((sessionDate) => referencedSessionDates.add(sessionDate));
+			faviconOrigins.add(getFaviconOrigin(tab.url));
+		}
+		
+		// Subcategories can't be shown without their parent categories.
+		for (const categoryId of [...referencedCategoryIds]) {
+			let category = categoriesById.get(categoryId);
+			
+			while (category && category.parentId && !referencedCategoryIds.has(category.parentId)) {
+				referencedCategoryIds.add(category.parentId);
+				category = categoriesById.get(category.parentId);
+			}
+		}
+		
+		debugh.log("Exporting", tabIds.size, "tabs,", referencedCategoryIds.size, "categories and", referencedSessionDates.size, "sessions.");
+		
+		return (tableName, value, key) => {
+			switch (tableName) {
+				case "categories":
+					return referencedCategoryIds.has(value.id);
+				
+				case "sessions":
+					return referencedSessionDates.has(value.creationdate);
+				
+				case "tabs":
+					return tabIds.has(value.id);
+				
+				case "previewimages":
+				case "pagetexts":
+					return tabIds.has(value.tabid);
+				
+				case "favicons":
+					return faviconOrigins.has(value.origin);
+			}
+			
+			return false;
+		};
+	}
+	
+	get latestSchemaVersion() {
+		return schemaVersions.at(-1).version;
+	}
+	
+	async _runMigrationsForUpgrade(tx, schemaVersion) {
+		debugh.log("Upgrading database to version", schemaVersion.version);
+		
+		const addedRows = [];
+		const addRow = (tableName, row) => {
+			addedRows.push({ tableName: tableName, row: row });
+		};
+		
+		for (const tableName in schemaVersion.migrations) {
+			const migration = schemaVersion.migrations[tableName];
+			
+			await tx.table(tableName).toCollection().modify((row, ref) => {
+				ref.value = migration(row, addRow);
+			});
+		}
+		
+		for (const addedRow of addedRows) {
+			await tx.table(addedRow.tableName).put(addedRow.row);
+		}
+		
+		debugh.log("Upgraded database to version", schemaVersion.version, "- migrated rows created", addedRows.length, "additional rows.");
+	}
+	
+	// Runs a single row from an export through all migrations newer than the given version.
+	// Additional rows created by migrations are run through the remaining migrations as well
+	// and then get appended to outAddedRows.
+	_migrateImportedRow(tableName, row, fromVersion, outAddedRows) {
+		for (const schemaVersion of schemaVersions) {
+			if (schemaVersion.version <= fromVersion) {
+				continue;
+			}
+			
+			const migration = schemaVersion.migrations[tableName];
+			
+			if (migration) {
+				row = migration(row, (addedTableName, addedRow) => {
+					const migratedAddedRow = this._migrateImportedRow(addedTableName, addedRow, schemaVersion.version, outAddedRows);
+					outAddedRows.push({ tableName: addedTableName, row: migratedAddedRow });
+				});
+			}
+		}
+		
+		return row;
+	}
+	
+	async importArchive(blob, importOptions) {
+		// Throws on anything that isn't a valid Dexie export, so we don't need to check that ourselves.
+		const importMeta = await peakImportFile(blob);
+		const exportVersion = importMeta.data.databaseVersion;
+		
+		debugh.log("Importing archive exported from database version", exportVersion, "into database version", this.latestSchemaVersion);
+		
+		if (exportVersion > this.latestSchemaVersion) {
+			throw(`This file was exported by a newer version of PhanTabular (database version ${exportVersion}). Please update the extension before importing it.`);
+		}
+		
+		const addedRows = [];
+		const migratingImportOptions = Object.assign({}, importOptions);
+		
+		if (exportVersion < this.latestSchemaVersion) {
+			const userTransform = importOptions.transform;
+			
+			migratingImportOptions.transform = (tableName, value, key) => {
+				const migratedValue = this._migrateImportedRow(tableName, value, exportVersion, addedRows);
+				
+				if (userTransform) {
+					return userTransform(tableName, migratedValue, key);
+				}
+				
+				return { value: migratedValue, key: key };
+			};
+		}
+		
+		await this.import(blob, migratingImportOptions);
+		
+		// Whatever the journal recorded no longer matches the archive we just imported.
+		await this.journal.clear();
+		
+		// The export might have been created with different URL normalization rules.
+		await this.updateNormalizedUrls();
+		
+		if (addedRows.length > 0) {
+			debugh.log("Writing", addedRows.length, "additional rows created by migrations during import.");
+			
+			const tableNames = [...new Set(addedRows.map((addedRow) => addedRow.tableName))];
+			
+			await this.transaction("rw", tableNames, async (tx) => {
+				for (const addedRow of addedRows) {
+					await this.table(addedRow.tableName).put(addedRow.row);
+				}
+			});
+		}
+	}
+	
+	// Imports tabs from sources other than PhanTabular archives, like the lists of other tab managers.
+	// Every entry of importedSessions becomes a session of its own and looks like this:
+	// { date (optional), name (optional), description (optional), tabs: [importedTabs] }
+	// Imported tabs look like this, with the date (optional) deciding their sort order:
+	// { tab: { url, title, ...more tab properties }, categories (optional), date (optional) }
+	// Tab properties end up in the metadata of the archived tabs, so ideally they're shaped like browser tabs.
+	// Returns the number of imported tabs.
+	async importSessions(importedSessions, categoryIds = []) {
+		const archiveSettings = await settings.archiveSettings;
+		
+		const preprocessedTabDatas = await this.transaction("rw", this.sessions, this.tabs, this.previewimages, this.pagetexts, async (tx) => {
+			return this._importSessions(importedSessions, categoryIds, archiveSettings);
+		});
+		
+		this.cacheFaviconsInBackground(preprocessedTabDatas.map((preprocessedTabData) => preprocessedTabData.tab));
+		
+		return preprocessedTabDatas.length;
+	}
+	
+	// Does the work of importSessions() within the caller's transaction, so that callers can create
+	// other rows (like categories) along with the imported tabs. Returns the imported tab data.
+	async _importSessions(importedSessions, categoryIds, archiveSettings) {
+		const currentDate = Date.now();
+		
+		const preprocessedTabDatas = [];
+		const sessionsToCreate = new Map();
+		
+		importedSessions.filter((importedSession) => importedSession.tabs.length > 0).forEach((importedSession, sessionIndex) => {
+			// Sessions are identified by their date, so sessions without one each need a date of their own.
+			// The first session becomes the newest one, since that's the order most tab managers list them in.
+			const sessionDate = importedSession.date ?? (currentDate - sessionIndex);
+			
+			if (!sessionsToCreate.has(sessionDate)) {
+				sessionsToCreate.set(sessionDate, importedSession);
+			}
+			
+			importedSession.tabs.forEach((importedTab, tabIndex) => {
+				const preprocessedTabData = {
+					tab: Object.assign({ windowId: sessionIndex, index: tabIndex, groupId: -1, lastAccessed: sessionDate }, importedTab.tab),
+					categories: [...new Set([...categoryIds, ...(importedTab.categories || [])])],
+					sessions: [sessionDate],
+				};
+				
+				if (importedTab.date !== undefined) {
+					preprocessedTabData.sortkey = { keyHigh: importedTab.date, keyMid: preprocessedTabData.tab.windowId, keyLow: preprocessedTabData.tab.index };
+				}
+				
+				preprocessedTabDatas.push(preprocessedTabData);
+			});
+		});
+		
+		if (preprocessedTabDatas.length === 0) {
+			throw("There are no tabs to import.");
+		}
+		
+		debugh.log("Importing", preprocessedTabDatas.length, "tabs into", sessionsToCreate.size, "sessions.");
+		
+		for (const [sessionDate, importedSession] of sessionsToCreate) {
+			// Dated sessions that already exist get reused, so importing the same export of another tab manager
+			// twice doesn't create its sessions twice. Undated sessions (like the blocks of a URL list) get
+			// a new date on every import, though, so they always become new sessions.
+			if (!(await this.getSession(sessionDate))) {
+				await this.createNewSession(sessionDate, importedSession.name || "", importedSession.description || "");
+			}
+		}
+		
+		await this._addTabsToArchive(preprocessedTabDatas, archiveSettings, "import");
+		
+		return preprocessedTabDatas;
+	}
+	
+	// Imports a folder tree as returned by bookmarkshtmlparser.parse(). Every folder containing bookmarks becomes
+	// a category below the given parent category, and all bookmarks end up in a single new session.
+	// Bookmarks that appear in several folders become a single tab in all of the respective categories.
+	async importFolders(rootFolder, parentCategoryId = 0, sessionDescription = "Imported from bookmarks") {
+		const importedTabsByUrl = new Map();
+		
+		const addBookmarks = (folder, categoryId) => {
+			for (const bookmark of folder.bookmarks) {
+				const existingImportedTab = importedTabsByUrl.get(bookmark.url);
+				
+				if (existingImportedTab) {
+					if (categoryId > 0 && !existingImportedTab.categories.includes(categoryId)) {
+						existingImportedTab.categories.push(categoryId);
+					}
+					
+					continue;
+				}
+				
+				const { date, ...tab } = bookmark;
+				
+				importedTabsByUrl.set(bookmark.url, {
+					tab: tab,
+					categories: (categoryId > 0 ? [ categoryId ] : []),
+					date: date,
+				});
+			}
+		};
+		
+		const importFoldersRecursive = async (folder, parentId) => {
+			for (const subfolder of folder.folders) {
+				if (bookmarkshtmlparser.countBookmarks(subfolder) === 0) {
+					continue;
+				}
+				
+				const category = await this.createNewCategory(subfolder.name || "Unnamed folder", undefined, undefined, parentId, subfolder.date ?? Date.now());
+				
+				addBookmarks(subfolder, category.id);
+				await importFoldersRecursive(subfolder, category.id);
+			}
+		};
+		
+		const archiveSettings = await settings.archiveSettings;
+		
+		// Categories and tabs get written together, so a failed import doesn't leave empty categories behind.
+		const preprocessedTabDatas = await this.transaction("rw", this.categories, this.sessions, this.tabs, this.previewimages, this.pagetexts, async (tx) => {
+			addBookmarks(rootFolder, parentCategoryId);
+			await importFoldersRecursive(rootFolder, parentCategoryId);
+			
+			return this._importSessions([{ description: sessionDescription, tabs: [...importedTabsByUrl.values()] }], [], archiveSettings);
+		});
+		
+		this.cacheFaviconsInBackground(preprocessedTabDatas.map((preprocessedTabData) => preprocessedTabData.tab));
+		
+		return preprocessedTabDatas.length;
+	}
+	
+	_initializeJournalHooks() {
+		if (this._journalHooksInitialized) {
+			return;
+		}
+		
+		this._journalHooksInitialized = true;
+		
+		// Hooks make every write read the previous state of the rows it touches, so we only
+		// subscribe them once something actually wants to record changes.
+		for (const tableName of journaledTableNames) {
+			const table = this.table(tableName);
+			const keyPath = table.schema.primKey.keyPath;
+			const journalRecordings = this._journalRecordings;
+			
+			table.hook("creating", function (primKey, obj, transaction) {
+				const changes = journalRecordings.get(transaction.idbtrans);
+				
+				if (changes) {
+					this.onsuccess = (createdKey) => {
+						const createdRow = structuredClone(obj);
+						createdRow[keyPath] = createdKey;
+						changes.push({ table: tableName, key: createdKey, before: undefined, after: createdRow });
+					};
+				}
+			});
+			
+			table.hook("updating", function (modifications, primKey, obj, transaction) {
+				const changes = journalRecordings.get(transaction.idbtrans);
+				
+				if (changes) {
+					const previousRow = structuredClone(obj);
+					this.onsuccess = (updatedRow) => {
+						changes.push({ table: tableName, key: primKey, before: previousRow, after: structuredClone(updatedRow) });
+					};
+				}
+			});
+			
+			table.hook("deleting", function (primKey, obj, transaction) {
+				const changes = journalRecordings.get(transaction.idbtrans);
+				
+				if (changes) {
+					const previousRow = structuredClone(obj);
+					this.onsuccess = () => {
+						changes.push({ table: tableName, key: primKey, before: previousRow, after: undefined });
+					};
+				}
+			});
+		}
+	}
+	
+	// Runs the passed function in a transaction and records every change it makes to the archive
+	// into the journal, so that it can be undone later. Since everything happens in a single
+	// transaction, the function must only await database operations.
+	async recordUndoableOperation(description, operation) {
+		this._initializeJournalHooks();
+		
+		return this.transaction("rw", [ ...journaledTableNames, "journal" ], async (tx) => {
+			const changes = [];
+			this._journalRecordings.set(tx.idbtrans, changes);
+			
+			let result = undefined;
+			
+			try {
+				result = await operation();
+			} finally {
+				this._journalRecordings.delete(tx.idbtrans);
+			}
+			
+			if (changes.length > 0) {
+				// A new operation invalidates everything that could previously be redone.
+				await this.journal.where("state").equals("undone").delete();
+				
+				await this.journal.add({
+					timestamp: Date.now(),
+					description: description,
+					state: "done",
+					changes: changes
+				});
+				
+				const journalLength = await this.journal.count();
+				
+				if (journalLength > maxJournalLength) {
+					const expiredIds = await this.journal.orderBy("id").limit(journalLength - maxJournalLength).primaryKeys();
+					await this.journal.bulkDelete(expiredIds);
+				}
+				
+				debugh.log("Recorded undoable operation \"" + description + "\" with", changes.length, "changes.");
+			}
+			
+			return result;
+		});
+	}
+	
+	// Undo and redo write back the rows the journal recorded, which would silently overwrite anything that
+	// changed them since without being recorded (like archiving in the background or editing a note).
+	// Returns whether every row the changes touch is still in the state the journal expects.
+	async _canApplyJournalChanges(changes, useStateBefore) {
+		const checkedRowIds = new Set();
+		
+		for (const change of changes) {
+			// Only the first change of each row describes its current state, later ones depend on the earlier ones.
+			const rowId = JSON.stringify([change.table, change.key]);
+			
+			if (checkedRowIds.has(rowId)) {
+				continue;
+			}
+			
+			checkedRowIds.add(rowId);
+			
+			const expectedRow = (useStateBefore ? change.after : change.before);
+			const currentRow = await this.table(change.table).get(change.key);
+			
+			if (!isSameRow(currentRow, expectedRow)) {
+				debugh.log("Row", change.key, "of table", change.table, "changed since it was recorded in the journal.");
+				return false;
+			}
+		}
+		
+		return true;
+	}
+	
+	async _applyJournalChanges(changes, useStateBefore) {
+		for (const change of changes) {
+			const row = (useStateBefore ? change.before : change.after);
+			
+			if (row === undefined) {
+				await this.table(change.table).delete(change.key);
+			} else {
+				await this.table(change.table).put(row);
+			}
+		}
+	}
+	
+	// Reverts the most recent operation in the journal. Returns its journal entry,
+	// or null if there is nothing to undo.
+	async undo() {
+		const result = await this.transaction("rw", [ ...journaledTableNames, "journal" ], async (tx) => {
+			const journalEntry = await this.journal.where("state").equals("done").last();
+			
+			if (!journalEntry) {
+				return null;
+			}
+			
+			debugh.log("Undoing operation:", journalEntry.description);
+			
+			const changes = journalEntry.changes.toReversed();
+			
+			if (!(await this._canApplyJournalChanges(changes, true))) {
+				// Older operations were recorded on top of the same outdated state, so none of them can be undone anymore either.
+				await this.journal.where("state").equals("done").delete();
+				return { conflict: true };
+			}
+			
+			await this._applyJournalChanges(changes, true);
+			await this.journal.update(journalEntry.id, { state: "undone" });
+			
+			return { journalEntry: journalEntry };
+		});
+		
+		if (result === null) {
+			return null;
+		}
+		
+		if (result.conflict) {
+			throw("The archive has changed since, so the operation can't be undone anymore.");
+		}
+		
+		return result.journalEntry;
+	}
+	
+	// Re-applies the operation that was undone most recently. Returns its journal entry,
+	// or null if there is nothing to redo.
+	async redo() {
+		const result = await this.transaction("rw", [ ...journaledTableNames, "journal" ], async (tx) => {
+			const journalEntry = await this.journal.where("state").equals("undone").first();
+			
+			if (!journalEntry) {
+				return null;
+			}
+			
+			debugh.log("Redoing operation:", journalEntry.description);
+			
+			if (!(await this._canApplyJournalChanges(journalEntry.changes, false))) {
+				await this.journal.where("state").equals("undone").delete();
+				return { conflict: true };
+			}
+			
+			await this._applyJournalChanges(journalEntry.changes, false);
+			await this.journal.update(journalEntry.id, { state: "done" });
+			
+			return { journalEntry: journalEntry };
 		});
+		
+		if (result === null) {
+			return null;
+		}
+		
+		if (result.conflict) {
+			throw("The archive has changed since, so the operation can't be redone anymore.");
+		}
+		
+		return result.journalEntry;
 	}
 
 	async getSession(sessionDate) {
 		return await this.sessions.get(sessionDate);
 	}
 
-	async createNewSession(sessionDate = Date.now()) {
+	async createNewSession(sessionDate = Date.now(), name = "", description = "") {
 		debugh.log("Creating new session with date:", debugh.formatTimestamp(sessionDate));
 		
 		let newSession = {
 			creationdate: sessionDate,
+			name: name,
+			description: description,
 			sortkey: sessionDate
 		};
 		const newSessionPromise = this.sessions.add(newSession);
@@ -41,16 +1044,15 @@ export class PhanTabularDB extends Dexie {
 		return newSession;
 	}
 
-	async createNewCategory(name = "New Category", color = undefined, rule = undefined) {
+	async createNewCategory(name = "New Category", color = undefined, rule = undefined, parentId = 0, sortkey = Date.now()) {
 		debugh.log("Creating new category:", name);
 		
-		let currentDate = Date.now();
-		
 		let newCategory = {
 			name: name,
 			color: color,
 			rule: rule,
-			sortkey: currentDate
+			parentId: parentId,
+			sortkey: sortkey
 		};
 		
 		if (color === undefined) {
@@ -66,6 +1068,61 @@ export class PhanTabularDB extends Dexie {
 		return newCategory;
 	}
 
+	// Returns the IDs of all direct and indirect children of the given category.
+	// Expects the full list of categories to be passed in, so that it can be used on
+	// results of queries that were already run.
+	getCategoryDescendantIds(categories, id) {
+		const descendantIds = [];
+		const parentIdsToVisit = [ id ];
+		
+		while (parentIdsToVisit.length > 0) {
+			const parentId = parentIdsToVisit.pop();
+			
+			for (const category of categories) {
+				if (category.parentId === parentId && category.id !== id && !descendantIds.includes(category.id)) {
+					descendantIds.push(category.id);
+					parentIdsToVisit.push(category.id);
+				}
+			}
+		}
+		
+		return descendantIds;
+	}
+	
+	async setCategoryParent(id, parentId) {
+		debugh.log("Moving category with ID", id, "into parent with ID", parentId);
+		
+		return this.transaction("rw", this.categories, async (tx) => {
+			const category = await this.categories.get(id);
+			
+			if (!category) {
+				throw(`Category with ID ${id} doesn't exist.`);
+			}
+			
+			if (parentId !== 0) {
+				if (!(await this.categories.get(parentId))) {
+					throw(`Category with ID ${parentId} doesn't exist.`);
+				}
+				
+				const descendantIds = this.getCategoryDescendantIds(await this.categories.toArray(), id);
+				
+				if (parentId === id || descendantIds.includes(parentId)) {
+					throw(`Category "${category.name}" can't be moved into itself or one of its subcategories.`);
+				}
+			}
+			
+			if (category.parentId === parentId) {
+				return;
+			}
+			
+			// A fresh sortkey puts the category at the top of its new parent, where it's easy to find.
+			await this.categories.update(id, {
+				parentId: parentId,
+				sortkey: Date.now()
+			});
+		});
+	}
+	
 	async getCategoriesWithAutoCatchRules() {
 		let categoriesWithAutoCatchRules = []
 		
@@ -78,37 +1135,204 @@ export class PhanTabularDB extends Dexie {
 		return categoriesWithAutoCatchRules;
 	}
 
-	async _addTabsToArchive(preprocessedTabDatas, archiveSettings) {
-		let justUrls = [];
+	_mergeTabHistories(targetTab, sourceTab) {
+		for (const historyEntry of sourceTab.history) {
+			const isDuplicate = targetTab.history.some((existingEntry) => {
+				return existingEntry.timestamp === historyEntry.timestamp && existingEntry.origin === historyEntry.origin;
+			});
+			
+			if (!isDuplicate) {
+				targetTab.history.push(historyEntry);
+			}
+		}
+		
+		targetTab.history.sort((a, b) => a.timestamp - b.timestamp);
+	}
+	
+	_mergeTabGroups(targetTab, sourceTab) {
+		for (const category of sourceTab.categories) {
+			if (!targetTab.categories.includes(category)) {
+				targetTab.categories.push(category);
+			}
+		}
+		
+		for (const session of sourceTab.sessions) {
+			if (!targetTab.sessions.includes(session)) {
+				targetTab.sessions.push(session);
+			}
+		}
+	}
+	
+	// Notes and tags are entered by the user, so we never want to lose them when merging entries.
+	_mergeTabAnnotations(targetTab, sourceTab) {
+		for (const tag of sourceTab.tags) {
+			if (!targetTab.tags.includes(tag)) {
+				targetTab.tags.push(tag);
+			}
+		}
+		
+		if (sourceTab.note !== "" && targetTab.note !== sourceTab.note) {
+			if (targetTab.note === "") {
+				targetTab.note = sourceTab.note;
+			} else {
+				targetTab.note = targetTab.note + "\n\n" + sourceTab.note;
+			}
+		}
+	}
+	
+	_normalizeTag(tag) {
+		return tag.trim().replace(/\s+/g, " ").toLowerCase();
+	}
+	
+	async setTabNote(id, note) {
+		debugh.log("Updating note of tab with ID:", id);
+		
+		const updatedCount = await this.tabs.update(id, { note: note });
+		
+		if (updatedCount === 0) {
+			throw(`Tab with ID ${id} doesn't exist.`);
+		}
+	}
+	
+	async addTabTags(ids, tags) {
+		const normalizedTags = tags.map((tag) => this._normalizeTag(tag)).filter((tag) => tag !== "");
+		
+		debugh.log("Adding tags", normalizedTags, "to", ids.length, "tabs.");
+		
+		if (normalizedTags.length === 0) {
+			return;
+		}
+		
+		return this.transaction("rw", this.tabs, async (tx) => {
+			const tabs = await this.tabs.bulkGet(ids);
+			
+			const missingTabIndex = tabs.indexOf(undefined);
+			if (missingTabIndex !== -1) {
+				throw(`Tab with ID ${ids[missingTabIndex]} doesn't exist.`);
+			}
+			
+			const entriesToUpdate = tabs.map((tab) => {
+				const newTags = tab.tags.slice();
+				
+				for (const normalizedTag of normalizedTags) {
+					if (!newTags.includes(normalizedTag)) {
+						newTags.push(normalizedTag);
+					}
+				}
+				
+				return {
+					key: tab.id,
+					changes: {
+						tags: newTags,
+					}
+				};
+			});
+			
+			await this.tabs.bulkUpdate(entriesToUpdate);
+		});
+	}
+	
+	async removeTabTags(ids, tags) {
+		debugh.log("Removing tags", tags, "from", ids.length, "tabs.");
+		
+		return this.transaction("rw", this.tabs, async (tx) => {
+			const tabs = await this.tabs.bulkGet(ids);
+			
+			const missingTabIndex = tabs.indexOf(undefined);
+			if (missingTabIndex !== -1) {
+				throw(`Tab with ID ${ids[missingTabIndex]} doesn't exist.`);
+			}
+			
+			const entriesToUpdate = tabs.map((tab) => {
+				return {
+					key: tab.id,
+					changes: {
+						tags: tab.tags.filter((tag) => !tags.includes(tag)),
+					}
+				};
+			});
+			
+			await this.tabs.bulkUpdate(entriesToUpdate);
+		});
+	}
+	
+	// Recomputes the normalized URL of every tab, which is needed whenever the normalization rules
+	// change, since duplicate detection looks up existing tabs by their stored normalized URL.
+	async updateNormalizedUrls() {
+		const archiveSettings = await settings.archiveSettings;
+		const normalizationRules = archiveSettings.urlNormalization;
+		
+		let updatedTabCount = 0;
+		
+		await this.transaction("rw", this.tabs, async (tx) => {
+			await this.tabs.toCollection().modify((tab) => {
+				const normalizedUrl = urlnormalizer.normalize(tab.url, normalizationRules);
+				
+				if (tab.normalizedurl !== normalizedUrl) {
+					tab.normalizedurl = normalizedUrl;
+					++updatedTabCount;
+				}
+			});
+		});
+		
+		debugh.log("Updated normalized URLs of", updatedTabCount, "tabs.");
+	}
+	
+	async _addTabsToArchive(preprocessedTabDatas, archiveSettings, origin) {
+		let justNormalizedUrls = [];
 		let newTableEntries = [];
 		let urlsWithIndices = {};
+		// Preview images and page texts go into their own tables, which need the IDs of the written entries.
+		const previewImagesOfEntries = new Map();
+		const pageTextsOfEntries = new Map();
 		
 		let currentDate = Date.now();
 
 		// Convert our list of tabs into the correct format for the database.
 		let currentIndex = 0;
 		for (const preprocessedTabData of preprocessedTabDatas) {
-			justUrls.push(preprocessedTabData.tab.url);
+			const normalizedUrl = urlnormalizer.normalize(preprocessedTabData.tab.url, archiveSettings.urlNormalization);
+			justNormalizedUrls.push(normalizedUrl);
 			
 			const newEntry = {
 				url: preprocessedTabData.tab.url,
+				normalizedurl: normalizedUrl,
 				title: preprocessedTabData.tab.title,
 				categories: preprocessedTabData.categories,
 				sessions: preprocessedTabData.sessions,
 				metadata: preprocessedTabData.tab,
-				sortkey: { keyHigh: currentDate, keyMid: preprocessedTabData.tab.windowId, keyLow: preprocessedTabData.tab.index }
+				sortkey: preprocessedTabData.sortkey ?? { keyHigh: currentDate, keyMid: preprocessedTabData.tab.windowId, keyLow: preprocessedTabData.tab.index },
+				history: [
+					{
+						timestamp: currentDate,
+						origin: origin,
+						title: preprocessedTabData.tab.title,
+						sessionDate: preprocessedTabData.sessions[0]
+					}
+				],
+				note: "",
+				tags: []
 			}
 			
 			if (preprocessedTabData.previewImage) {
-				newEntry.previewimageurl = preprocessedTabData.previewImage;
+				try {
+					previewImagesOfEntries.set(newEntry, dataUrlToBlob(preprocessedTabData.previewImage));
+				} catch (error) {
+					debugh.error("Couldn't store preview image of tab", preprocessedTabData.tab.id, error);
+				}
+			}
+			
+			if (preprocessedTabData.pageText) {
+				pageTextsOfEntries.set(newEntry, preprocessedTabData.pageText);
 			}
 			
 			// If we have "noDuplicateUrls" enabled, make sure we don't have the same URL
 			// in our selection multiple times. If we do, we need to remove either entry.
 			// We just use the "lastAccessed" flag to decide which entry to keep.
 			// Update: Also do this for "onlyStoreLatestSession".
-			if ((archiveSettings.noDuplicateUrls || archiveSettings.onlyStoreLatestSession) && typeof urlsWithIndices[newEntry.url] !== "undefined") {
-				const previousIndex = urlsWithIndices[newEntry.url];
+			// URLs count as the same if they're identical after normalization.
+			if ((archiveSettings.noDuplicateUrls || archiveSettings.onlyStoreLatestSession) && typeof urlsWithIndices[newEntry.normalizedurl] !== "undefined") {
+				const previousIndex = urlsWithIndices[newEntry.normalizedurl];
 				const previousEntry = newTableEntries[previousIndex];
 				
 				if (newEntry.metadata.lastAccessed > previousEntry.metadata.lastAccessed) {
@@ -120,7 +1344,7 @@ export class PhanTabularDB extends Dexie {
 			
 			newTableEntries.push(newEntry);
 			
-			urlsWithIndices[preprocessedTabData.tab.url] = currentIndex;
+			urlsWithIndices[newEntry.normalizedurl] = currentIndex;
 			++currentIndex;
 		}
 
@@ -128,10 +1352,11 @@ export class PhanTabularDB extends Dexie {
 		// We take care of that here.
 		let sessionDatesToCheckForDeletion = [];
 		const entryIdsToDelete = [];
+		const collapsedEntryIds = new Map();
 		
 		if (archiveSettings.noDuplicateUrls || archiveSettings.onlyStoreLatestSession) {
-			const existingArchivedTabs = await this.tabs.where("url")
-				.anyOf(justUrls)
+			const existingArchivedTabs = await this.tabs.where("normalizedurl")
+				.anyOf(justNormalizedUrls)
 				.toArray();
 			
 			// Archiving tabs with the "noDuplicateUrls" setting enabled might cause them to move
@@ -153,7 +1378,7 @@ export class PhanTabularDB extends Dexie {
 			}
 				
 			for (const existingArchivedTab of existingArchivedTabs) {				
-				let entryToUpdate = newTableEntries[urlsWithIndices[existingArchivedTab.url]];
+				let entryToUpdate = newTableEntries[urlsWithIndices[existingArchivedTab.normalizedurl]];
 								
 				debugh.logVerbose("Merging tab with URL", entryToUpdate.url, "into database entry", existingArchivedTab.id);
 				debugh.logVerbose("Tab details:", entryToUpdate, existingArchivedTab);
@@ -166,72 +1391,361 @@ export class PhanTabularDB extends Dexie {
 					const newestSessionNewEntry = Math.max(...entryToUpdate.sessions);
 					
 					if (newestSessionOldEntry > newestSessionNewEntry) {
+						// The old entry wins, but the tab was still archived again, so we need to keep a record of that.
+						this._mergeTabHistories(existingArchivedTab, entryToUpdate);
+						this._mergeTabAnnotations(existingArchivedTab, entryToUpdate);
+						
 						entryToUpdate = existingArchivedTab;
 						entryToUpdate.sessions = [newestSessionOldEntry];
+						
+						// Without this, the old entry would never actually get written back to the database.
+						newTableEntries[urlsWithIndices[existingArchivedTab.normalizedurl]] = entryToUpdate;
 					} else {
+						this._mergeTabHistories(entryToUpdate, existingArchivedTab);
+						this._mergeTabAnnotations(entryToUpdate, existingArchivedTab);
+						
 						entryToUpdate.sessions = [newestSessionNewEntry];
 					}
+				} else {
+					this._mergeTabGroups(entryToUpdate, existingArchivedTab);
+					this._mergeTabHistories(entryToUpdate, existingArchivedTab);
+					this._mergeTabAnnotations(entryToUpdate, existingArchivedTab);
+					
+					if (archiveSettings.onlyStoreLatestSession) {						
+						const newestSession = Math.max(...entryToUpdate.sessions);
+						entryToUpdate.sessions = [newestSession];
+					}
+				}
+				
+				// If the new entry doesn't have a preview image, the preview image of the old entry
+				// stays in place, since it's stored under the ID of the old entry anyway.
+				
+				// If entryToUpdate already had an ID assigned to it, the same URL must have occured multiple
+				// times within existingArchivedTabs, so we must collapse all existing entries into one.
+				// The simplest solution for this is to delete the previous entry.
+				// (With normalized URLs, this can easily happen for "noDuplicateUrls" as well now.)
+				if (previousEntryToUpdateId !== undefined && previousEntryToUpdateId !== entryToUpdate.id) {
+					entryIdsToDelete.push(previousEntryToUpdateId);
 					
-					// If entryToUpdate already had an ID assigned to it, the same URL must have occured multiple
-					// times within existingArchivedTabs, so we must collapse all existing entries into one.
-					// The simplest solution for this is to delete the previous entry.
-					if (previousEntryToUpdateId !== undefined) {
-						entryIdsToDelete.push(previousEntryToUpdateId);
+					if (!collapsedEntryIds.has(entryToUpdate.id)) {
+						collapsedEntryIds.set(entryToUpdate.id, []);
 					}
-				} else {
-					for (const cateogry of existingArchivedTab.categories) {
-						if (!entryToUpdate.categories.includes(cateogry)) {
-							entryToUpdate.categories.push(cateogry);
-						}
+					
+					collapsedEntryIds.get(entryToUpdate.id).push(previousEntryToUpdateId);
+				}
+				
+				debugh.logVerbose("Merged tab details:", entryToUpdate);
+			}
+		}
+		
+		// Wrapping everything into a transaction here, just to make it easier to handle error cases.
+		// The caller might want to close tabs on success, so with the transaction we only ever have
+		// to close all tabs or none.
+		await this.transaction("rw", this.tabs, this.previewimages, this.pagetexts, this.sessions, async (tx) => {
+			const entryIds = await this.tabs.bulkPut(newTableEntries, { allKeys: true });
+			
+			const previewImagesToWrite = [];
+			newTableEntries.forEach((entry, index) => {
+				if (previewImagesOfEntries.has(entry)) {
+					previewImagesToWrite.push({ tabid: entryIds[index], image: previewImagesOfEntries.get(entry) });
+				}
+			});
+			
+			await this.previewimages.bulkPut(previewImagesToWrite);
+			
+			const pageTextsToWrite = [];
+			newTableEntries.forEach((entry, index) => {
+				if (pageTextsOfEntries.has(entry)) {
+					pageTextsToWrite.push(Object.assign({ tabid: entryIds[index], timestamp: currentDate }, pageTextsOfEntries.get(entry)));
+				}
+			});
+			
+			await this.pagetexts.bulkPut(pageTextsToWrite);
+			
+			// Don't lose the preview images or page texts of collapsed entries if the remaining entry doesn't have them.
+			for (const [entryId, collapsedIds] of collapsedEntryIds) {
+				await this._keepTabAttachments(entryId, collapsedIds);
+			}
+			
+			if (entryIdsToDelete.length > 0) {
+				// These tabs were merged into other entries, so nothing of value gets lost.
+				await this.deleteTabs(entryIdsToDelete, false);
+			}
+		
+			// Check if any sessions are now empty as result of moving tabs
+			// and if so, automatically delete the respective session.
+			const deletionPromisesToAwait = [];
+			
+			if (sessionDatesToCheckForDeletion.length > 0) {
+				debugh.log("Checking for empty sessions to delete.");
+				for (const sessionDateToCheck of sessionDatesToCheckForDeletion) {
+					deletionPromisesToAwait.push(this.deleteSessionIfNoLongerNeeded(sessionDateToCheck));
+				}
+			}
+			
+			for (const deletionPromiseToAwait of deletionPromisesToAwait) {
+				await deletionPromisesToAwait;
+			}
+		});
+	}
+	
+	// Returns all groups of tabs that share the same URL (or the same normalized URL), largest groups first.
+	async findDuplicateTabs(useNormalizedUrls) {
+		const urlField = (useNormalizedUrls ? "normalizedurl" : "url");
+		const tabIdGroups = [];
+		
+		let currentGroup = null;
+		
+		// Walking the index only reads URLs and IDs, so only the tabs that actually have duplicates get loaded.
+		await this.tabs.orderBy(urlField).eachKey((url, cursor) => {
+			if (currentGroup === null || currentGroup.url !== url) {
+				currentGroup = { url: url, tabIds: [] };
+				tabIdGroups.push(currentGroup);
+			}
+			
+			currentGroup.tabIds.push(cursor.primaryKey);
+		});
+		
+		const duplicateTabIdGroups = tabIdGroups.filter((tabIdGroup) => tabIdGroup.tabIds.length > 1);
+		const duplicateTabs = await this.tabs.bulkGet(duplicateTabIdGroups.flatMap((tabIdGroup) => tabIdGroup.tabIds));
+		
+		let tabIndex = 0;
+		
+		const duplicateGroups = duplicateTabIdGroups.map((tabIdGroup) => {
+			// Tabs might have been deleted in the meantime.
+			const tabs = duplicateTabs.slice(tabIndex, tabIndex + tabIdGroup.tabIds.length).filter((tab) => tab !== undefined);
+			tabIndex += tabIdGroup.tabIds.length;
+			
+			return { url: tabIdGroup.url, tabs: tabs };
+		});
+		
+		return duplicateGroups.filter((duplicateGroup) => duplicateGroup.tabs.length > 1).sort((a, b) => {
+			return b.tabs.length - a.tabs.length;
+		});
+	}
+	
+	// Merges each of the given lists of tab IDs into a single entry, the same way archiving a tab
+	// again merges it into its existing entry. The most recently archived tab of each list survives.
+	async mergeDuplicateTabs(tabIdGroups) {
+		const archiveSettings = await settings.archiveSettings;
+		
+		return this.transaction("rw", this.tabs, this.previewimages, this.pagetexts, this.sessions, this.trash, async (tx) => {
+			const entriesToUpdate = [];
+			const entryIdsToDelete = [];
+			let sessionDatesToCheckForDeletion = [];
+			
+			for (const tabIds of tabIdGroups) {
+				const tabs = (await this.tabs.bulkGet(tabIds)).filter((tab) => tab !== undefined);
+				
+				if (tabs.length < 2) {
+					continue;
+				}
+				
+				sessionDatesToCheckForDeletion = sessionDatesToCheckForDeletion.concat(this._getAllSessionDatesFromTabs(tabs));
+				
+				tabs.sort((a, b) => b.sortkey.keyHigh - a.sortkey.keyHigh);
+				const entryToUpdate = tabs[0];
+				
+				for (const duplicateTab of tabs.slice(1)) {
+					this._mergeTabGroups(entryToUpdate, duplicateTab);
+					this._mergeTabHistories(entryToUpdate, duplicateTab);
+					this._mergeTabAnnotations(entryToUpdate, duplicateTab);
+					
+					entryIdsToDelete.push(duplicateTab.id);
+				}
+				
+				await this._keepTabAttachments(entryToUpdate.id, tabs.slice(1).map((tab) => tab.id));
+				
+				if (archiveSettings.onlyStoreLatestSession && entryToUpdate.sessions.length > 0) {
+					entryToUpdate.sessions = [Math.max(...entryToUpdate.sessions)];
+				}
+				
+				entriesToUpdate.push(entryToUpdate);
+			}
+			
+			debugh.log("Merging", entryIdsToDelete.length, "duplicate tabs into", entriesToUpdate.length, "entries.");
+			
+			await this.tabs.bulkPut(entriesToUpdate);
+			
+			if (entryIdsToDelete.length > 0) {
+				// These tabs were merged into other entries, so nothing of value gets lost.
+				await this.deleteTabs(entryIdsToDelete, false);
+			}
+			
+			// With "onlyStoreLatestSession", merged entries might have left some of their sessions.
+			await this._deleteSessionsIfNoLongerNeeded([...new Set(sessionDatesToCheckForDeletion)]);
+			
+			return entryIdsToDelete.length;
+		});
+	}
+	
+	// Returns the preview image of a tab as a Blob, or undefined if it doesn't have one.
+	async getPreviewImage(tabId) {
+		const previewImage = await this.previewimages.get(tabId);
+		
+		return (previewImage ? previewImage.image : undefined);
+	}
+	
+	// Gives each of the target tabs copies of the preview image and page text of the respective source tab.
+	async copyTabAttachments(sourceTabIds, targetTabIds) {
+		return this.transaction("rw", tabAttachmentTableNames, async (tx) => {
+			for (const tableName of tabAttachmentTableNames) {
+				const attachments = await this.table(tableName).bulkGet(sourceTabIds);
+				const copiedAttachments = [];
+				
+				attachments.forEach((attachment, index) => {
+					if (attachment !== undefined) {
+						copiedAttachments.push(Object.assign({}, attachment, { tabid: targetTabIds[index] }));
 					}
+				});
+				
+				await this.table(tableName).bulkPut(copiedAttachments);
+			}
+		});
+	}
+	
+	// Gives the target tab the preview image and page text of the first source tab that has
+	// one, unless the target tab already has one of its own.
+	async _keepTabAttachments(targetTabId, sourceTabIds) {
+		for (const tableName of tabAttachmentTableNames) {
+			const table = this.table(tableName);
+			
+			if (await table.get(targetTabId)) {
+				continue;
+			}
+			
+			const sourceAttachment = (await table.bulkGet(sourceTabIds)).find((attachment) => attachment !== undefined);
+			
+			if (sourceAttachment) {
+				await table.put(Object.assign({}, sourceAttachment, { tabid: targetTabId }));
+			}
+		}
+	}
+	
+	// Deletes tab rows together with the rows that belong to them in other tables.
+	async _deleteTabRows(ids) {
+		await this.tabs.bulkDelete(ids);
+		
+		for (const tableName of tabAttachmentTableNames) {
+			await this.table(tableName).bulkDelete(ids);
+		}
+	}
+	
+	async hasPageTextCapturePermissions() {
+		return this.hasPreviewImageCapturePermissions();
+	}
+	
+	// Extracts the text of an open tab and returns it in the form it gets stored in.
+	async capturePageText(tab) {
+		debugh.logVerbose("Capturing page text for tab with ID:", tab.id);
+		
+		if (tab.discarded) {
+			throw("Couldn't capture the text of unloaded tabs.");
+		}
+		
+		const pageText = await pagetexthelper.capture(tab.id);
+		
+		return {
+			text: await pagetexthelper.compress(pageText),
+			searchtokens: pagetexthelper.getTokens(pageText)
+		};
+	}
+	
+	// Returns the stored text of a tab as { description, text }, or undefined if it doesn't have one.
+	async getPageText(tabId) {
+		const pageText = await this.pagetexts.get(tabId);
+		
+		return (pageText ? pagetexthelper.decompress(pageText.text) : undefined);
+	}
+	
+	getFaviconOrigin(url) {
+		return getFaviconOrigin(url);
+	}
+	
+	// Returns the cached favicon for the origin as a Blob, or undefined if there is none.
+	async getFavicon(origin) {
+		const favicon = await this.favicons.get(origin);
+		
+		return (favicon ? favicon.image : undefined);
+	}
+	
+	async _fetchFavicon(favIconUrl) {
+		if (favIconUrl.startsWith("data:")) {
+			return dataUrlToBlob(favIconUrl);
+		}
+		
+		const response = await fetch(favIconUrl, { credentials: "omit", signal: AbortSignal.timeout(faviconFetchTimeout) });
+		
+		if (!response.ok) {
+			throw(`Request failed with status ${response.status}.`);
+		}
+		
+		const image = await response.blob();
+		
+		if (!image.type.startsWith("image/")) {
+			throw(`Expected an image, but received "${image.type}".`);
+		}
+		
+		return image;
+	}
+	
+	// Stores the favicons of the passed tabs (or tab records) in the favicon cache, unless the cache
+	// already contains the same favicon for their origin. Remote favicons can only be fetched if the
+	// website allows it or if the extension has permission to access it. Returns the number of
+	// newly cached favicons.
+	async cacheFavicons(tabs) {
+		const favIconUrlsByOrigin = new Map();
 		
-					for (const session of existingArchivedTab.sessions) {
-						if (!entryToUpdate.sessions.includes(session)) {
-							entryToUpdate.sessions.push(session);
-						}
-					}
-					
-					if (archiveSettings.onlyStoreLatestSession) {						
-						const newestSession = Math.max(...entryToUpdate.sessions);
-						entryToUpdate.sessions = [newestSession];
-					}
-				}
-				
-				// If the new entry doesn't have a preview image, but the old entry had one,
-				// also copy the preview image from the old entry so that we don't just wipe it needlessly.
-				// (Probably could apply this logic to more than just the preview image, but the preview image
-				// is the most likely thing to get lost from a discared tab).
-				if (!entryToUpdate.previewimageurl && existingArchivedTab.previewimageurl) {
-					entryToUpdate.previewimageurl = existingArchivedTab.previewimageurl;
-				}
-				
-				debugh.logVerbose("Merged tab details:", entryToUpdate);
+		for (const tab of tabs) {
+			const favIconUrl = (tab.metadata ? tab.metadata.favIconUrl : tab.favIconUrl);
+			const origin = getFaviconOrigin(tab.url);
+			
+			if (origin !== undefined && typeof favIconUrl === "string" && favIconUrl !== "") {
+				favIconUrlsByOrigin.set(origin, favIconUrl);
 			}
 		}
 		
-		// Wrapping everything into a transaction here, just to make it easier to handle error cases.
-		// The caller might want to close tabs on success, so with the transaction we only ever have
-		// to close all tabs or none.
-		await this.transaction("rw", this.tabs, this.sessions, async (tx) => {
-			await this.tabs.bulkPut(newTableEntries);
-			if (entryIdsToDelete.length > 0) {
-				await this.deleteTabs(entryIdsToDelete);
-			}
+		const cachedFavicons = await this.favicons.bulkGet([...favIconUrlsByOrigin.keys()]);
+		const currentDate = Date.now();
 		
-			// Check if any sessions are now empty as result of moving tabs
-			// and if so, automatically delete the respective session.
-			const deletionPromisesToAwait = [];
-			
-			if (sessionDatesToCheckForDeletion.length > 0) {
-				debugh.log("Checking for empty sessions to delete.");
-				for (const sessionDateToCheck of sessionDatesToCheckForDeletion) {
-					deletionPromisesToAwait.push(this.deleteSessionIfNoLongerNeeded(sessionDateToCheck));
+		const faviconsToFetch = [...favIconUrlsByOrigin].filter(([origin, favIconUrl], index) => {
+			return cachedFavicons[index] === undefined || cachedFavicons[index].sourceurl !== favIconUrl;
+		});
+		
+		const faviconsToWrite = [];
+		
+		// Importing a large archive can mean hundreds of origins, so only a few requests run at a time.
+		const fetchNextFavicons = async () => {
+			while (faviconsToFetch.length > 0) {
+				const [origin, favIconUrl] = faviconsToFetch.shift();
+				
+				try {
+					faviconsToWrite.push({
+						origin: origin,
+						image: await this._fetchFavicon(favIconUrl),
+						sourceurl: favIconUrl,
+						timestamp: currentDate
+					});
+				} catch (error) {
+					debugh.logVerbose("Couldn't cache favicon", favIconUrl, "for origin", origin, error);
 				}
 			}
-			
-			for (const deletionPromiseToAwait of deletionPromisesToAwait) {
-				await deletionPromisesToAwait;
-			}
+		};
+		
+		await Promise.all(Array.from({ length: Math.min(maxConcurrentFaviconFetches, faviconsToFetch.length) }, fetchNextFavicons));
+		
+		await this.favicons.bulkPut(faviconsToWrite);
+		
+		debugh.log("Cached", faviconsToWrite.length, "new favicons.");
+		
+		return faviconsToWrite.length;
+	}
+	
+	// Caches favicons without making the caller wait for remote servers. Archiving and importing
+	// use this once their tabs are stored, since a missing favicon only affects how tabs look.
+	cacheFaviconsInBackground(tabs) {
+		Dexie.ignoreTransaction(() => this.cacheFavicons(tabs)).catch((error) => {
+			debugh.error("Caching favicons failed:", error);
 		});
 	}
 
@@ -276,6 +1790,8 @@ export class PhanTabularDB extends Dexie {
 			return archiveSettings.contextSpecificSettings.popup;
 		} else if (origin === "session-restore") {
 			return archiveSettings.contextSpecificSettings.sessionRestore;
+		} else if (origin === "idle-tabs") {
+			return archiveSettings.contextSpecificSettings.idleTabs;
 		}
 		
 		return null;
@@ -316,6 +1832,14 @@ export class PhanTabularDB extends Dexie {
 		return tabSpecificSettings;
 	}
 
+	// Returns the tabs that the tab-specific settings of the given origin allow archiving.
+	async filterArchivableTabs(tabs, origin) {
+		const archiveSettings = await settings.archiveSettings;
+		const contextSpecificSettings = this._getContextSpecificSettings(archiveSettings, origin);
+		
+		return tabs.filter((tab) => this._getTabSpecificSettings(contextSpecificSettings, tab).canArchive);
+	}
+	
 	async archiveTabs(tabs, origin, sessionDate = undefined) {
 		debugh.log("Archiving", tabs.length, "tabs into session with date:", debugh.formatTimestamp(sessionDate));
 		debugh.logVerbose("Tab details:", tabs);
@@ -339,6 +1863,16 @@ export class PhanTabularDB extends Dexie {
 				errors.push("Saving preview images requires the permission to access your data for all websites.");
 			}
 		}
+		
+		let savePageTexts = false;
+		
+		if (archiveSettings.savePageTexts) {
+			if (await this.hasPageTextCapturePermissions()) {
+				savePageTexts = true;
+			} else {
+				errors.push("Saving page texts requires the permission to access your data for all websites.");
+			}
+		}
 	
 		let tabsToArchive = [];
 	
@@ -414,6 +1948,15 @@ export class PhanTabularDB extends Dexie {
 						}
 					}
 				}
+				
+				if (savePageTexts) {
+					try {
+						newEntry.pageText = await this.capturePageText(tab);
+					} catch(error) {
+						// Many pages simply don't have any text worth keeping, so this isn't worth an error message.
+						debugh.logVerbose("Not saving page text of tab", tab.id, error);
+					}
+				}
 		
 				// If we didn't explicitly pass in a session date, get the one associated to the tab.
 				// Usually this is the window's session date, unless that for some reason hasn't been set yet
@@ -460,12 +2003,16 @@ export class PhanTabularDB extends Dexie {
 		
 			if (!hasCriticalErrors) {
 				try {
-					await this._addTabsToArchive(preprocessedTabDatas, archiveSettings);
+					await this._addTabsToArchive(preprocessedTabDatas, archiveSettings, origin);
 				} catch(error) {
 					errors.push("Adding tabs to archive failed: " + error);
 					hasCriticalErrors = true;
 				}
 			}
+			
+			if (!hasCriticalErrors) {
+				this.cacheFaviconsInBackground(tabsToArchive);
+			}
 		}
 		
 		if (errors.length > 0) {
@@ -555,15 +2102,29 @@ export class PhanTabularDB extends Dexie {
 	
 	async deleteSessionIfNoLongerNeeded(sessionDate) {
 		debugh.logVerbose("Checking if session with date", debugh.formatTimestamp(sessionDate), "is empty and can be deleted");
-		this.tabs.where("sessions").equals(sessionDate).toArray().then((tabs) => {
+		return this.tabs.where("sessions").equals(sessionDate).toArray().then((tabs) => {
 			if (tabs.length === 0) {
-				this.deleteSession(sessionDate);
+				// Empty sessions don't go to the trash. Trash entries of deleted tabs keep
+				// a copy of their sessions, so restoring them brings the session back anyways.
+				debugh.log("Deleting empty session with date:", debugh.formatTimestamp(sessionDate));
+				return this.sessions.delete(sessionDate);
 			}
 		}).catch((error) => {
 			debugh.error("Error while looking for empty sessions:", error);
 		});
 	}
 	
+	async _deleteSessionsIfNoLongerNeeded(sessionDates) {
+		// Check if any sessions are now empty as result of deleting tabs,
+		// and if so, automatically delete the respective session.
+		if (sessionDates.length > 0) {
+			debugh.log("Checking for empty sessions to delete.");
+			for (const sessionDate of sessionDates) {
+				await this.deleteSessionIfNoLongerNeeded(sessionDate);
+			}
+		}
+	}
+	
 	_getAllSessionDatesFromTabs(tabs) {
 		const unqiueSessionDates = {};
 		
@@ -582,38 +2143,549 @@ export class PhanTabularDB extends Dexie {
 		return sessionDates;
 	}
 	
-	async deleteTabs(ids) {
-		debugh.log("Deleting", ids.length, "tabs.");
+	async deleteTabs(ids, moveToTrash = true) {
+		debugh.log("Deleting", ids.length, "tabs.", moveToTrash ? "Moving them to the trash." : "");
 		debugh.logVerbose("IDs:", ids);
 		
-		const tabs = await this.tabs.bulkGet(ids);
+		const tabs = (await this.tabs.bulkGet(ids)).filter((tab) => tab !== undefined);
 		
 		const sessionDates = this._getAllSessionDatesFromTabs(tabs);
 		
-		const returnPromise = this.tabs.bulkDelete(ids);
+		// Callers that only merge tabs might not include the trash in their own transaction.
+		const tables = (moveToTrash ? [ this.tabs, this.previewimages, this.pagetexts, this.sessions, this.trash ] : [ this.tabs, this.previewimages, this.pagetexts ]);
 		
-		returnPromise.then(() => {
-			// Check if any sessions are now empty as result of deleting tabs,
-			// and if so, automatically delete the respective session.
-			if (sessionDates.length > 0) {
-				debugh.log("Checking for empty sessions to delete.");
-				for (const sessionDate of sessionDates) {
-					this.deleteSessionIfNoLongerNeeded(sessionDate);
+		await this.transaction("rw", tables, async (tx) => {
+			if (moveToTrash) {
+				const sessions = (await this.sessions.bulkGet(sessionDates)).filter((session) => session !== undefined);
+				
+				await this._addTrashEntry("tabs", [], sessions, tabs, []);
+			}
+			
+			await this._deleteTabRows(ids);
+		});
+		
+		await this._deleteSessionsIfNoLongerNeeded(sessionDates);
+	}
+	
+	async deleteCategory(id, alsoDeleteTabs = false) {
+		debugh.log("Deleting category with ID:", id, alsoDeleteTabs ? "Also deleting all tabs in it." : "");
+		
+		let sessionDates = [];
+		
+		await this.transaction("rw", this.categories, this.sessions, this.tabs, this.previewimages, this.pagetexts, this.trash, async (tx) => {
+			const category = await this.categories.get(id);
+			
+			if (!category) {
+				throw(`Category with ID ${id} doesn't exist.`);
+			}
+			
+			const containedTabs = await this.tabs.where("categories").equals(id).toArray();
+			const containedTabIds = containedTabs.map((tab) => tab.id);
+			
+			// Subcategories aren't deleted along with their parent, they move up one level instead.
+			const childCategoryIds = await this.categories.where("parentId").equals(id).primaryKeys();
+			
+			if (alsoDeleteTabs) {
+				sessionDates = this._getAllSessionDatesFromTabs(containedTabs);
+				const sessions = (await this.sessions.bulkGet(sessionDates)).filter((session) => session !== undefined);
+				
+				await this._addTrashEntry("category", [category], sessions, containedTabs, [], childCategoryIds);
+				await this._deleteTabRows(containedTabIds);
+			} else {
+				await this._addTrashEntry("category", [category], [], [], containedTabIds, childCategoryIds);
+				await this.tabs.where("id").anyOf(containedTabIds).modify((tab) => {
+					tab.categories = tab.categories.filter((categoryId) => categoryId !== id);
+				});
+			}
+			
+			await this.categories.where("id").anyOf(childCategoryIds).modify((childCategory) => {
+				childCategory.parentId = category.parentId;
+			});
+			
+			await this.categories.delete(id);
+		});
+		
+		await this._deleteSessionsIfNoLongerNeeded(sessionDates);
+	}
+	
+	async deleteSession(date, alsoDeleteTabs = false) {
+		debugh.log("Deleting session with date:", debugh.formatTimestamp(date), alsoDeleteTabs ? "Also deleting all tabs in it." : "");
+		
+		let sessionDates = [];
+		
+		await this.transaction("rw", this.sessions, this.tabs, this.previewimages, this.pagetexts, this.trash, async (tx) => {
+			const session = await this.sessions.get(date);
+			
+			if (!session) {
+				throw(`Session with date ${debugh.formatTimestamp(date)} doesn't exist.`);
+			}
+			
+			const containedTabs = await this.tabs.where("sessions").equals(date).toArray();
+			const containedTabIds = containedTabs.map((tab) => tab.id);
+			
+			if (alsoDeleteTabs) {
+				// Tabs can be part of multiple sessions, which also go into the trash entry,
+				// so that restoring it doesn't leave the tabs in sessions that no longer exist.
+				sessionDates = this._getAllSessionDatesFromTabs(containedTabs).filter((sessionDate) => sessionDate !== date);
+				const sessions = (await this.sessions.bulkGet(sessionDates)).filter((otherSession) => otherSession !== undefined);
+				
+				await this._addTrashEntry("session", [], [session, ...sessions], containedTabs, []);
+				await this._deleteTabRows(containedTabIds);
+			} else {
+				await this._addTrashEntry("session", [], [session], [], containedTabIds);
+				await this.tabs.where("id").anyOf(containedTabIds).modify((tab) => {
+					tab.sessions = tab.sessions.filter((sessionDate) => sessionDate !== date);
+				});
+			}
+			
+			await this.sessions.delete(date);
+		});
+		
+		await this._deleteSessionsIfNoLongerNeeded(sessionDates);
+	}
+	
+	// Moves all tabs of the source sessions into the target session. The source sessions are
+	// empty afterwards and get deleted. Their names and descriptions are kept in the target session.
+	async mergeSessions(targetSessionDate, sourceSessionDates) {
+		debugh.log("Merging", sourceSessionDates.length, "sessions into session with date:", debugh.formatTimestamp(targetSessionDate));
+		
+		sourceSessionDates = sourceSessionDates.filter((sessionDate) => sessionDate !== targetSessionDate);
+		
+		await this.transaction("rw", this.sessions, this.tabs, async (tx) => {
+			const targetSession = await this.getSession(targetSessionDate);
+			
+			if (!targetSession) {
+				throw(`Session with date ${debugh.formatTimestamp(targetSessionDate)} doesn't exist.`);
+			}
+			
+			const sourceSessions = (await this.sessions.bulkGet(sourceSessionDates)).filter((session) => session !== undefined);
+			
+			for (const sourceSession of sourceSessions) {
+				if (sourceSession.name !== "" && targetSession.name === "") {
+					targetSession.name = sourceSession.name;
+				}
+				
+				if (sourceSession.description !== "" && targetSession.description !== sourceSession.description) {
+					if (targetSession.description === "") {
+						targetSession.description = sourceSession.description;
+					} else {
+						targetSession.description = targetSession.description + "\n\n" + sourceSession.description;
+					}
+				}
+			}
+			
+			await this.sessions.update(targetSessionDate, {
+				name: targetSession.name,
+				description: targetSession.description
+			});
+			
+			await this.tabs.where("sessions").anyOf(sourceSessionDates).modify((tab) => {
+				tab.sessions = tab.sessions.filter((sessionDate) => !sourceSessionDates.includes(sessionDate));
+				
+				if (!tab.sessions.includes(targetSessionDate)) {
+					tab.sessions.push(targetSessionDate);
+				}
+			});
+		});
+		
+		for (const sourceSessionDate of sourceSessionDates) {
+			await this.deleteSessionIfNoLongerNeeded(sourceSessionDate);
+		}
+	}
+	
+	// Moves the given tabs out of a session and into a newly created one.
+	// Returns the creation date of the new session.
+	async splitSession(sessionDate, tabIds) {
+		debugh.log("Splitting", tabIds.length, "tabs off session with date:", debugh.formatTimestamp(sessionDate));
+		
+		let newSessionDate = Date.now();
+		
+		await this.transaction("rw", this.sessions, this.tabs, async (tx) => {
+			const session = await this.getSession(sessionDate);
+			
+			if (!session) {
+				throw(`Session with date ${debugh.formatTimestamp(sessionDate)} doesn't exist.`);
+			}
+			
+			// The creation date is the primary key of a session, so it has to be unique.
+			while (await this.getSession(newSessionDate)) {
+				++newSessionDate;
+			}
+			
+			await this.createNewSession(newSessionDate, (session.name !== "" ? `${session.name} (split)` : ""), "");
+			
+			await this.tabs.where("id").anyOf(tabIds).modify((tab) => {
+				if (tab.sessions.includes(sessionDate)) {
+					tab.sessions = tab.sessions.filter((otherSessionDate) => otherSessionDate !== sessionDate);
+					tab.sessions.push(newSessionDate);
+				}
+			});
+		});
+		
+		// In case all of its tabs were split off.
+		await this.deleteSessionIfNoLongerNeeded(sessionDate);
+		await this.deleteSessionIfNoLongerNeeded(newSessionDate);
+		
+		return newSessionDate;
+	}
+	
+	// Every deletion the user triggers creates exactly one trash entry, so that it can be undone
+	// as a whole. Besides the deleted rows themselves, an entry remembers the IDs of tabs that
+	// stayed in the archive, but were part of a deleted category or session (linkedTabIds), as well
+	// as the IDs of subcategories that were moved out of a deleted category (linkedCategoryIds).
+	async _addTrashEntry(type, categories, sessions, tabs, linkedTabIds, linkedCategoryIds = []) {
+		const currentDate = Date.now();
+		
+		const trashEntry = {
+			type: type,
+			deletiondate: currentDate,
+			sortkey: currentDate,
+			categories: categories,
+			sessions: sessions,
+			tabs: tabs,
+			previewimages: (await this.previewimages.bulkGet(tabs.map((tab) => tab.id))).filter((previewImage) => previewImage !== undefined),
+			pagetexts: (await this.pagetexts.bulkGet(tabs.map((tab) => tab.id))).filter((pageText) => pageText !== undefined),
+			linkedTabIds: linkedTabIds,
+			linkedCategoryIds: linkedCategoryIds
+		};
+		
+		const trashEntryId = await this.trash.add(trashEntry);
+		
+		debugh.log("Created trash entry with ID", trashEntryId, "containing", categories.length, "categories,", sessions.length, "sessions and", tabs.length, "tabs.");
+		
+		return trashEntryId;
+	}
+	
+	async restoreFromTrash(id) {
+		debugh.log("Restoring trash entry with ID:", id);
+		
+		const archiveSettings = await settings.archiveSettings;
+		
+		return this.transaction("rw", this.categories, this.sessions, this.tabs, this.previewimages, this.pagetexts, this.trash, async (tx) => {
+			const trashEntry = await this.trash.get(id);
+			
+			if (!trashEntry) {
+				throw(`Trash entry with ID ${id} doesn't exist (anymore).`);
+			}
+			
+			// Restored tabs keep categories that still exist or that are in the trash themselves,
+			// so that restoring those categories later on puts the tabs back into them as well.
+			// The same goes for the parents of restored categories.
+			const knownCategoryIds = new Set(await this.categories.toCollection().primaryKeys());
+			await this.trash.each((otherTrashEntry) => {
+				if (otherTrashEntry.id === id) {
+					return;
+				}
+				
+				for (const category of otherTrashEntry.categories) {
+					knownCategoryIds.add(category.id);
+				}
+			});
+			
+			const originalParentIds = new Map();
+			
+			for (const category of trashEntry.categories) {
+				originalParentIds.set(category.id, category.parentId);
+				
+				if (category.parentId !== 0 && !knownCategoryIds.has(category.parentId)) {
+					category.parentId = 0;
+				}
+				
+				knownCategoryIds.add(category.id);
+			}
+			
+			await this.categories.bulkPut(trashEntry.categories);
+			
+			// The session that was deleted explicitly comes first and is restored as it was. The other sessions
+			// are copies of sessions its tabs were part of, which must not overwrite sessions that exist by now.
+			const deletedSession = (trashEntry.type === "session" ? trashEntry.sessions[0] : undefined);
+			
+			for (const session of trashEntry.sessions) {
+				if (session === deletedSession || !(await this.getSession(session.creationdate))) {
+					await this.sessions.put(session);
+				}
+			}
+			
+			for (const tab of trashEntry.tabs) {
+				tab.categories = tab.categories.filter((categoryId) => knownCategoryIds.has(categoryId));
+				// The normalization rules might have changed while the tab was in the trash.
+				tab.normalizedurl = urlnormalizer.normalize(tab.url, archiveSettings.urlNormalization);
+				
+				for (const sessionDate of tab.sessions) {
+					if (!(await this.getSession(sessionDate))) {
+						await this.createNewSession(sessionDate);
+					}
 				}
 			}
+			
+			await this.tabs.bulkPut(trashEntry.tabs);
+			await this.previewimages.bulkPut(trashEntry.previewimages);
+			// Trash entries from before page texts were captured don't have any.
+			await this.pagetexts.bulkPut(trashEntry.pagetexts || []);
+			
+			if (trashEntry.linkedTabIds.length > 0) {
+				await this.tabs.where("id").anyOf(trashEntry.linkedTabIds).modify((tab) => {
+					for (const category of trashEntry.categories) {
+						if (!tab.categories.includes(category.id)) {
+							tab.categories.push(category.id);
+						}
+					}
+					
+					for (const session of trashEntry.sessions) {
+						if (!tab.sessions.includes(session.creationdate)) {
+							tab.sessions.push(session.creationdate);
+						}
+					}
+				});
+			}
+			
+			// Subcategories that were moved up a level when their parent got deleted go back into it,
+			// unless they have been moved somewhere else in the meantime.
+			for (const category of trashEntry.categories) {
+				await this.categories.where("id").anyOf(trashEntry.linkedCategoryIds).modify((childCategory) => {
+					if (childCategory.parentId === originalParentIds.get(category.id)) {
+						childCategory.parentId = category.id;
+					}
+				});
+			}
+			
+			await this.trash.delete(id);
+			
+			debugh.log("Restored", trashEntry.categories.length, "categories,", trashEntry.sessions.length, "sessions and", trashEntry.tabs.length, "tabs from trash.");
 		});
+	}
+	
+	async purgeFromTrash(id) {
+		debugh.log("Permanently deleting trash entry with ID:", id);
+		return this.trash.delete(id);
+	}
+	
+	// Permanently deletes all trash entries that were deleted before the given date,
+	// or the entire trash if no date is passed in. Returns the number of deleted entries.
+	async emptyTrash(deletedBefore = undefined) {
+		if (deletedBefore === undefined) {
+			debugh.log("Emptying entire trash.");
+			const trashEntryCount = await this.trash.count();
+			await this.trash.clear();
+			return trashEntryCount;
+		}
+		
+		debugh.log("Emptying trash entries deleted before", debugh.formatTimestamp(deletedBefore));
+		return this.trash.where("deletiondate").below(deletedBefore).delete();
+	}
+	
+	// The last time a tab was archived, which is what its age is measured by.
+	getLastArchivalDate(tab) {
+		const timestamps = tab.history.map((historyEntry) => historyEntry.timestamp).filter((timestamp) => timestamp !== undefined);
 		
-		return returnPromise;
+		return (timestamps.length > 0 ? Math.max(...timestamps) : tab.sortkey.keyHigh);
+	}
+	
+	// Determines what the retention policy would remove from the archive right now, without changing
+	// anything. Categories can override the maximum tab age of the policy ("retentionDays", where 0
+	// means tabs never expire) and can be pinned, which keeps all tabs in them and their subcategories.
+	// Tabs in multiple categories use the most lenient age limit of them. Tabs that are only part of
+	// expired sessions get deleted along with them, unless they're pinned or in any category, in which
+	// case they just leave the expired sessions.
+	async getRetentionPlan(retentionPolicy, currentDate = Date.now()) {
+		return this.transaction("r", this.categories, this.sessions, this.tabs, async (tx) => {
+			const plan = {
+				tabsToDelete: [],
+				sessionsToDelete: [],
+				tabUpdates: [],
+			};
+			
+			if (!retentionPolicy.enabled) {
+				return plan;
+			}
+			
+			const categories = await this.categories.toArray();
+			const pinnedCategoryIds = new Set();
+			const categoryRetentionDays = new Map();
+			
+			for (const category of categories) {
+				if (category.pinned) {
+					pinnedCategoryIds.add(category.id);
+					
+					for (const descendantId of this.getCategoryDescendantIds(categories, category.id)) {
+						pinnedCategoryIds.add(descendantId);
+					}
+				}
+				
+				if (Number.isInteger(category.retentionDays)) {
+					categoryRetentionDays.set(category.id, category.retentionDays);
+				}
+			}
+			
+			const expiredSessionDates = new Set();
+			
+			if (retentionPolicy.maxSessionCount > 0) {
+				const sessionDates = await this.sessions.orderBy("creationdate").reverse().primaryKeys();
+				
+				for (const sessionDate of sessionDates.slice(retentionPolicy.maxSessionCount)) {
+					expiredSessionDates.add(sessionDate);
+				}
+			}
+			
+			const dayLength = 24 * 60 * 60 * 1000;
+			
+			await this.tabs.each((tab) => {
+				if (tab.categories.some((categoryId) => pinnedCategoryIds.has(categoryId))) {
+					return;
+				}
+				
+				const overrides = tab.categories.filter((categoryId) => categoryRetentionDays.has(categoryId)).map((categoryId) => categoryRetentionDays.get(categoryId));
+				const retentionDays = (overrides.length > 0 ? (overrides.includes(0) ? 0 : Math.max(...overrides)) : retentionPolicy.maxTabAgeDays);
+				
+				const isTooOld = (retentionDays > 0 && currentDate - this.getLastArchivalDate(tab) > retentionDays * dayLength);
+				const remainingSessions = tab.sessions.filter((sessionDate) => !expiredSessionDates.has(sessionDate));
+				const onlyInExpiredSessions = (tab.sessions.length > 0 && remainingSessions.length === 0);
+				
+				if (isTooOld || (onlyInExpiredSessions && tab.categories.length === 0)) {
+					plan.tabsToDelete.push(tab);
+				} else if (remainingSessions.length !== tab.sessions.length) {
+					plan.tabUpdates.push({ key: tab.id, changes: { sessions: remainingSessions } });
+				}
+			});
+			
+			// Pinned tabs can keep an expired session around.
+			const tabIdsToDelete = new Set(plan.tabsToDelete.map((tab) => tab.id));
+			const tabIdsToUpdate = new Set(plan.tabUpdates.map((tabUpdate) => tabUpdate.key));
+			
+			for (const sessionDate of expiredSessionDates) {
+				const remainingTabIds = (await this.tabs.where("sessions").equals(sessionDate).primaryKeys()).filter((tabId) => {
+					return !tabIdsToDelete.has(tabId) && !tabIdsToUpdate.has(tabId);
+				});
+				
+				if (remainingTabIds.length === 0) {
+					plan.sessionsToDelete.push(await this.sessions.get(sessionDate));
+				}
+			}
+			
+			return plan;
+		});
 	}
 	
-	async deleteCategory(id) {
-		debugh.log("Deleting category with ID:", id);
-		return this.categories.delete(id);
+	// Removes everything the retention policy says has expired. Expired tabs all go into
+	// a single trash entry, unless the policy says to delete them permanently.
+	async applyRetentionPolicy(retentionPolicy) {
+		// The plan is made within the same transaction it gets applied in, so that changes
+		// made in the meantime (like moving a tab into a pinned category) can't get lost.
+		return this.transaction("rw", this.categories, this.tabs, this.previewimages, this.pagetexts, this.sessions, this.trash, async (tx) => {
+			const plan = await this.getRetentionPlan(retentionPolicy);
+			
+			debugh.log("Retention policy expired", plan.tabsToDelete.length, "tabs and", plan.sessionsToDelete.length, "sessions.");
+			
+			await this.tabs.bulkUpdate(plan.tabUpdates);
+			
+			if (plan.tabsToDelete.length > 0) {
+				await this.deleteTabs(plan.tabsToDelete.map((tab) => tab.id), retentionPolicy.moveToTrash);
+			}
+			
+			for (const session of plan.sessionsToDelete) {
+				await this.deleteSessionIfNoLongerNeeded(session.creationdate);
+			}
+			
+			return plan;
+		});
 	}
 	
-	async deleteSession(date) {
-		debugh.log("Deleting session with date:", debugh.formatTimestamp(date));
-		return this.sessions.delete(date);
+	// Returns estimated sizes (in bytes) of everything stored in the archive, broken down by
+	// category and session, plus the largest tabs. Tabs that are part of multiple categories or
+	// sessions count towards each of them. The category with ID 0 collects uncategorized tabs.
+	async getStorageReport(largestTabCount = 20) {
+		return this.transaction("r", this.categories, this.sessions, this.tabs, this.previewimages, this.pagetexts, this.trash, this.journal, async (tx) => {
+			const report = {
+				tabCount: 0,
+				metadataSize: 0,
+				previewImageCount: 0,
+				previewImageSize: 0,
+				pageTextCount: 0,
+				pageTextSize: 0,
+				groupsSize: 0,
+				trashSize: 0,
+				journalSize: 0,
+				categories: [],
+				sessions: [],
+				largestTabs: [],
+			};
+			
+			const previewImageSizes = new Map();
+			await this.previewimages.each((previewImage) => {
+				previewImageSizes.set(previewImage.tabid, previewImage.image.size);
+				report.previewImageSize += previewImage.image.size;
+				++report.previewImageCount;
+			});
+			
+			await this.pagetexts.each((pageText) => {
+				report.pageTextSize += estimateStoredSize(pageText);
+				++report.pageTextCount;
+			});
+			
+			const categoryReports = new Map([[0, { id: 0, name: "", tabCount: 0, size: 0 }]]);
+			await this.categories.each((category) => {
+				categoryReports.set(category.id, { id: category.id, name: category.name, tabCount: 0, size: 0 });
+				report.groupsSize += estimateStoredSize(category);
+			});
+			
+			const sessionReports = new Map();
+			await this.sessions.each((session) => {
+				sessionReports.set(session.creationdate, { creationdate: session.creationdate, name: session.name, tabCount: 0, size: 0 });
+				report.groupsSize += estimateStoredSize(session);
+			});
+			
+			const addTabToGroupReport = (groupReport, tabSize) => {
+				if (groupReport) {
+					++groupReport.tabCount;
+					groupReport.size += tabSize;
+				}
+			};
+			
+			const tabReports = [];
+			await this.tabs.each((tab) => {
+				const tabReport = {
+					id: tab.id,
+					title: tab.title,
+					url: tab.url,
+					metadataSize: estimateStoredSize(tab),
+					previewImageSize: previewImageSizes.get(tab.id) || 0,
+				};
+				const tabSize = tabReport.metadataSize + tabReport.previewImageSize;
+				
+				++report.tabCount;
+				report.metadataSize += tabReport.metadataSize;
+				tabReports.push(tabReport);
+				
+				if (tab.categories.length === 0) {
+					addTabToGroupReport(categoryReports.get(0), tabSize);
+				}
+				
+				for (const categoryId of tab.categories) {
+					addTabToGroupReport(categoryReports.get(categoryId), tabSize);
+				}
+				
+				for (const sessionDate of tab.sessions) {
+					addTabToGroupReport(sessionReports.get(sessionDate), tabSize);
+				}
+			});
+			
+			await this.trash.each((trashEntry) => {
+				report.trashSize += estimateStoredSize(trashEntry);
+			});
+			
+			await this.journal.each((journalEntry) => {
+				report.journalSize += estimateStoredSize(journalEntry);
+			});
+			
+			const bySizeDescending = (a, b) => b.size - a.size;
+			report.categories = [...categoryReports.values()].sort(bySizeDescending);
+			report.sessions = [...sessionReports.values()].sort(bySizeDescending);
+			report.largestTabs = tabReports.sort((a, b) => {
+				return (b.metadataSize + b.previewImageSize) - (a.metadataSize + a.previewImageSize);
+			}).slice(0, largestTabCount);
+			
+			return report;
+		});
 	}
 	
 	async deleteArchive() {
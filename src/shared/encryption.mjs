@@ -0,0 +1,97 @@
+// Encrypted archives use a small JSON container around the encrypted export, so they can still be
+// recognized (and decrypted with nothing but WebCrypto) without knowing anything about PhanTabular:
+//
+// {"format":"phantabular-encrypted-archive","version":1,
+//  "kdf":{"name":"PBKDF2","hash":"SHA-256","iterations":600000,"salt":"<Base64, 16 bytes>"},
+//  "cipher":{"name":"AES-GCM","length":256,"iv":"<Base64, 12 bytes>"},
+//  "data":"<Base64>"}
+//
+// The key is derived from the UTF-8 encoded passphrase via PBKDF2 with the given parameters. "data"
+// is the AES-GCM ciphertext of the plain export (including the 16 byte authentication tag at its end).
+// The container always starts with the "format" and "version" members exactly as shown above, which
+// is what isEncrypted() checks for.
+const containerFormat = "phantabular-encrypted-archive";
+const containerVersion = 1;
+const containerHeader = `{"format":"${containerFormat}","version":${containerVersion},`;
+
+const pbkdf2Iterations = 600000;
+const saltLength = 16;
+const ivLength = 12;
+
+export class ArchiveEncryption {
+	async isEncrypted(blob) {
+		return (await blob.slice(0, containerHeader.length).text()) === containerHeader;
+	}
+	
+	async _deriveKey(passphrase, kdf, cipher, usage) {
+		const passphraseKey = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+		
+		return crypto.subtle.deriveKey(
+			{ name: "PBKDF2", hash: kdf.hash, iterations: kdf.iterations, salt: Uint8Array.fromBase64(kdf.salt) },
+			passphraseKey,
+			{ name: "AES-GCM", length: cipher.length },
+			false,
+			[usage]
+		);
+	}
+	
+	async encrypt(blob, passphrase) {
+		const kdf = {
+			name: "PBKDF2",
+			hash: "SHA-256",
+			iterations: pbkdf2Iterations,
+			salt: crypto.getRandomValues(new Uint8Array(saltLength)).toBase64(),
+		};
+		
+		const cipher = {
+			name: "AES-GCM",
+			length: 256,
+			iv: crypto.getRandomValues(new Uint8Array(ivLength)).toBase64(),
+		};
+		
+		const key = await this._deriveKey(passphrase, kdf, cipher, "encrypt");
+		const encryptedData = await crypto.subtle.encrypt({ name: "AES-GCM", iv: Uint8Array.fromBase64(cipher.iv) }, key, await blob.arrayBuffer());
+		
+		const container = {
+			format: containerFormat,
+			version: containerVersion,
+			kdf: kdf,
+			cipher: cipher,
+			data: new Uint8Array(encryptedData).toBase64(),
+		};
+		
+		return new Blob([JSON.stringify(container)], { type: "application/json" });
+	}
+	
+	async decrypt(blob, passphrase) {
+		let container = null;
+		
+		try {
+			container = JSON.parse(await blob.text());
+		} catch (error) {
+			throw("The encrypted archive is damaged.");
+		}
+		
+		if (container.version > containerVersion) {
+			throw("This encrypted archive was created by a newer version of PhanTabular. Please update the extension before importing it.");
+		}
+		
+		if (container.kdf.name !== "PBKDF2" || container.cipher.name !== "AES-GCM") {
+			throw(`Unsupported encryption method "${container.kdf.name}/${container.cipher.name}".`);
+		}
+		
+		const key = await this._deriveKey(passphrase, container.kdf, container.cipher, "decrypt");
+		
+		try {
+			const decryptedData = await crypto.subtle.decrypt({ name: "AES-GCM", iv: Uint8Array.fromBase64(container.cipher.iv) }, key, Uint8Array.fromBase64(container.data));
+			
+			return new Blob([decryptedData], { type: "application/json" });
+		} catch (error) {
+			// AES-GCM can't tell a wrong key from modified data.
+			throw("Decrypting the archive failed. Either the passphrase is wrong or the file is damaged.");
+		}
+	}
+}
+
+export const archiveencryption = new ArchiveEncryption();
+export { archiveencryption as default };
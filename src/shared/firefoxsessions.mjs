@@ -0,0 +1,233 @@
+// Reads the session files Firefox keeps in its profile (sessionstore.jsonlz4 and the files in
+// sessionstore-backups, like recovery.jsonlz4 or previous.jsonlz4), so that lost sessions can be recovered.
+// These are "mozlz4" files: the magic bytes "mozLz40\0", the decompressed size as a 32 bit little-endian
+// integer, and a single LZ4 block containing the session state as JSON.
+const mozLz4Magic = [0x6d, 0x6f, 0x7a, 0x4c, 0x7a, 0x34, 0x30, 0x00];
+const mozLz4HeaderLength = mozLz4Magic.length + 4;
+
+// Empty new tabs are rarely what anyone wants to recover.
+const ignoredUrls = ["about:blank", "about:newtab", "about:home", "about:privatebrowsing"];
+
+export class FirefoxSessionParser {
+	async isMozLz4(blob) {
+		const magic = new Uint8Array(await blob.slice(0, mozLz4Magic.length).arrayBuffer());
+		
+		return magic.length === mozLz4Magic.length && mozLz4Magic.every((byte, index) => magic[index] === byte);
+	}
+	
+	// Decompresses a raw LZ4 block. Each sequence consists of a token (literal length and match length),
+	// the literals and a match that copies data from earlier output, which may overlap the copy target.
+	_decompressLz4Block(input, decompressedSize) {
+		const output = new Uint8Array(decompressedSize);
+		
+		let inputPosition = 0;
+		let outputPosition = 0;
+		
+		const readLength = (length) => {
+			if (length === 15) {
+				let lengthByte = 255;
+				
+				while (lengthByte === 255) {
+					if (inputPosition >= input.length) {
+						throw("The session file is damaged.");
+					}
+					
+					lengthByte = input[inputPosition++];
+					length += lengthByte;
+				}
+			}
+			
+			return length;
+		};
+		
+		while (inputPosition < input.length) {
+			const token = input[inputPosition++];
+			const literalLength = readLength(token >> 4);
+			
+			if (inputPosition + literalLength > input.length || outputPosition + literalLength > output.length) {
+				throw("The session file is damaged.");
+			}
+			
+			output.set(input.subarray(inputPosition, inputPosition + literalLength), outputPosition);
+			inputPosition += literalLength;
+			outputPosition += literalLength;
+			
+			// The last sequence only contains literals.
+			if (inputPosition >= input.length) {
+				break;
+			}
+			
+			const matchOffset = input[inputPosition] | (input[inputPosition + 1] << 8);
+			inputPosition += 2;
+			
+			const matchLength = readLength(token & 0x0f) + 4;
+			
+			if (matchOffset === 0 || matchOffset > outputPosition || outputPosition + matchLength > output.length) {
+				throw("The session file is damaged.");
+			}
+			
+			if (matchOffset >= matchLength) {
+				output.copyWithin(outputPosition, outputPosition - matchOffset, outputPosition - matchOffset + matchLength);
+				outputPosition += matchLength;
+			} else {
+				// Overlapping matches repeat the most recent output, so they need to be copied byte by byte.
+				for (let index = 0; index < matchLength; ++index) {
+					output[outputPosition] = output[outputPosition - matchOffset];
+					++outputPosition;
+				}
+			}
+		}
+		
+		return output.subarray(0, outputPosition);
+	}
+	
+	// Returns the session state stored in a mozlz4 file.
+	async decode(blob) {
+		const data = new Uint8Array(await blob.arrayBuffer());
+		
+		if (data.length < mozLz4HeaderLength || !mozLz4Magic.every((byte, index) => data[index] === byte)) {
+			throw("The file isn't a Firefox session file.");
+		}
+		
+		const decompressedSize = new DataView(data.buffer, data.byteOffset + mozLz4Magic.length, 4).getUint32(0, true);
+		const decompressedData = this._decompressLz4Block(data.subarray(mozLz4HeaderLength), decompressedSize);
+		
+		try {
+			return JSON.parse(new TextDecoder().decode(decompressedData));
+		} catch (error) {
+			throw("The session file is damaged: " + error);
+		}
+	}
+	
+	// Turns a tab of the session state into the shape of a browser tab, like archiveTabs() would store it.
+	// Closed tabs keep most of their properties in a nested "state" object.
+	_parseTab(tabState, index, closedTab = undefined) {
+		const entries = tabState.entries || [];
+		// The index of the current history entry is 1-based.
+		const currentEntry = entries[Math.min(Math.max((tabState.index || entries.length) - 1, 0), entries.length - 1)];
+		const url = (currentEntry ? currentEntry.url : tabState.userTypedValue);
+		
+		if (typeof url !== "string" || url.length === 0 || ignoredUrls.includes(url)) {
+			return null;
+		}
+		
+		const title = (currentEntry && currentEntry.title) || (closedTab && closedTab.title) || url;
+		const favIconUrl = tabState.image || (closedTab && closedTab.image);
+		
+		const tab = {
+			url: url,
+			title: title,
+			index: index,
+			pinned: (tabState.pinned === true),
+			hidden: (tabState.hidden === true),
+			cookieStoreId: (tabState.userContextId ? `firefox-container-${tabState.userContextId}` : "firefox-default"),
+			// Tab groups in session files have string IDs, which can never be mistaken for the ID of an open group.
+			groupId: (tabState.groupId !== undefined && tabState.groupId !== null ? tabState.groupId : -1),
+		};
+		
+		if (typeof favIconUrl === "string" && favIconUrl.length > 0) {
+			tab.favIconUrl = favIconUrl;
+		}
+		
+		const lastAccessed = (closedTab && closedTab.closedAt) || tabState.lastAccessed;
+		
+		if (lastAccessed) {
+			tab.lastAccessed = lastAccessed;
+		}
+		
+		// Open tabs keep their order within the window, closed tabs are sorted by when they were closed.
+		return {
+			tab: tab,
+			date: (closedTab ? closedTab.closedAt : undefined),
+		};
+	}
+	
+	_parseTabs(tabStates, closedTabs = false) {
+		const importedTabs = [];
+		
+		for (const tabState of (tabStates || [])) {
+			const importedTab = (closedTabs ? this._parseTab(tabState.state || {}, importedTabs.length, tabState) : this._parseTab(tabState, importedTabs.length));
+			
+			if (importedTab !== null) {
+				importedTabs.push(importedTab);
+			}
+		}
+		
+		return importedTabs;
+	}
+	
+	_describeTabGroups(groups) {
+		const groupNames = (groups || []).map((group) => group.name).filter((name) => typeof name === "string" && name.length > 0);
+		
+		return (groupNames.length > 0 ? ` (tab groups: ${groupNames.join(", ")})` : "");
+	}
+	
+	// Returns the sessions of a session state in the shape db.importSessions() expects. Every open and
+	// closed window becomes a session, and so do the closed tabs and closed tab groups of each window,
+	// as well as saved tab groups. Sessions are dated by the session state, so importing the same file
+	// again adds to the sessions imported before instead of creating new ones.
+	parse(sessionState) {
+		if (!sessionState || !Array.isArray(sessionState.windows)) {
+			throw("The file doesn't contain a Firefox session.");
+		}
+		
+		const sessionDate = (sessionState.session && sessionState.session.lastUpdate) || Date.now();
+		const sessions = [];
+		const usedSessionDates = new Set();
+		
+		const addSession = (date, name, description, importedTabs) => {
+			if (importedTabs.length === 0) {
+				return;
+			}
+			
+			// Sessions are identified by their date, so no two sessions of the same file may share one.
+			let uniqueDate = Math.floor(date);
+			
+			while (usedSessionDates.has(uniqueDate)) {
+				--uniqueDate;
+			}
+			
+			usedSessionDates.add(uniqueDate);
+			
+			sessions.push({
+				date: uniqueDate,
+				name: name,
+				description: description,
+				tabs: importedTabs,
+			});
+		};
+		
+		const getLatestClosingDate = (closedItems) => Math.max(...closedItems.map((closedItem) => closedItem.closedAt || 0));
+		
+		const addWindowSessions = (windowState, windowName, windowDate) => {
+			addSession(windowDate, windowName, "Recovered from Firefox" + this._describeTabGroups(windowState.groups), this._parseTabs(windowState.tabs));
+			
+			const closedGroups = windowState.closedGroups || [];
+			const closedTabs = [
+				...this._parseTabs(windowState._closedTabs, true),
+				...closedGroups.flatMap((closedGroup) => this._parseTabs(closedGroup.tabs, true)),
+			];
+			
+			const closedItems = [...(windowState._closedTabs || []), ...closedGroups];
+			
+			addSession((closedItems.length > 0 && getLatestClosingDate(closedItems)) || windowDate, `${windowName} (closed tabs)`, "Recovered from Firefox" + this._describeTabGroups(closedGroups), closedTabs);
+		};
+		
+		sessionState.windows.forEach((windowState, windowIndex) => {
+			addWindowSessions(windowState, `Window ${windowIndex + 1}`, sessionDate - windowIndex);
+		});
+		
+		(sessionState._closedWindows || []).forEach((windowState, windowIndex) => {
+			addWindowSessions(windowState, `Closed window ${windowIndex + 1}`, windowState.closedAt || sessionDate);
+		});
+		
+		for (const savedGroup of (sessionState.savedGroups || [])) {
+			addSession(savedGroup.closedAt || sessionDate, `Saved tab group "${savedGroup.name || ""}"`, "Recovered from Firefox", this._parseTabs(savedGroup.tabs, true));
+		}
+		
+		return sessions;
+	}
+}
+
+export const firefoxsessionparser = new FirefoxSessionParser();
+export { firefoxsessionparser as default };
@@ -0,0 +1,8 @@
+// Helpers shared by the extension's pages for building their markup.
+
+// Escapes text so that it can be inserted into markup without being interpreted as HTML.
+export function escapeHTML(unescaped) {
+	const div = document.createElement("div");
+	div.textContent = unescaped;
+	return div.innerHTML;
+}
@@ -0,0 +1,249 @@
+// Importers for the JSON exports of other tab managers. Every importer recognizes its own format and
+// converts it into what the database can import:
+// {
+//   sessions: [importedSessions], as expected by db.importSessions(),
+//   folders: a folder tree as expected by db.importFolders(), or null,
+//   failures: [descriptions of the items that couldn't be converted],
+// }
+// Broken items only end up in the failures, so that one bad entry doesn't prevent importing everything else.
+// New formats can be supported by registering another importer with matches() and convert() methods.
+
+export class ForeignArchiveImporter {
+	constructor(name) {
+		this.name = name;
+	}
+	
+	matches(data) {
+		return false;
+	}
+	
+	convert(data) {
+		throw("Not implemented.");
+	}
+	
+	_createResult() {
+		return {
+			sessions: [],
+			folders: null,
+			failures: [],
+		};
+	}
+	
+	// Converts a tab of the foreign format into an imported tab, or records why it can't be imported.
+	// Group IDs of other extensions (or other browsers) might coincide with the IDs of open tab groups,
+	// so they're prefixed to make sure tabs only ever get grouped with tabs of the same imported group.
+	_convertTab(tabData, index, failures, itemDescription) {
+		if (!tabData || typeof tabData.url !== "string" || tabData.url.length === 0) {
+			failures.push(`${itemDescription}: The tab doesn't have a URL.`);
+			return null;
+		}
+		
+		try {
+			new URL(tabData.url);
+		} catch {
+			failures.push(`${itemDescription}: "${tabData.url}" isn't a valid URL.`);
+			return null;
+		}
+		
+		const title = (typeof tabData.title === "string" && tabData.title.length > 0 ? tabData.title : tabData.url);
+		
+		const tab = {
+			url: tabData.url,
+			title: title,
+			index: index,
+			pinned: (tabData.pinned === true),
+			groupId: (tabData.groupId !== undefined && tabData.groupId !== null && tabData.groupId !== -1 ? `${this.name}-${tabData.groupId}` : -1),
+		};
+		
+		for (const propertyName of ["windowId", "cookieStoreId", "favIconUrl", "hidden", "lastAccessed"]) {
+			if (tabData[propertyName] !== undefined && tabData[propertyName] !== null) {
+				tab[propertyName] = tabData[propertyName];
+			}
+		}
+		
+		return { tab: tab };
+	}
+	
+	_convertTabs(tabDatas, failures, itemDescription) {
+		const importedTabs = [];
+		
+		(Array.isArray(tabDatas) ? tabDatas : []).forEach((tabData, tabIndex) => {
+			const importedTab = this._convertTab(tabData, importedTabs.length, failures, `${itemDescription}, tab ${tabIndex + 1}`);
+			
+			if (importedTab !== null) {
+				importedTabs.push(importedTab);
+			}
+		});
+		
+		return importedTabs;
+	}
+	
+	_parseDate(value) {
+		const date = (typeof value === "string" ? Date.parse(value) : value);
+		
+		return (Number.isFinite(date) && date > 0 ? date : undefined);
+	}
+}
+
+// Tab Session Manager exports an array of sessions, which keep the tabs of every window as browser tabs,
+// keyed by window ID and tab ID.
+export class TabSessionManagerImporter extends ForeignArchiveImporter {
+	constructor() {
+		super("Tab Session Manager");
+	}
+	
+	matches(data) {
+		return Array.isArray(data) && data.length > 0 && data.every((session) => session && typeof session.windows === "object" && "tabsNumber" in session);
+	}
+	
+	convert(data) {
+		const result = this._createResult();
+		
+		data.forEach((sessionData, sessionIndex) => {
+			const sessionDescription = `Session "${sessionData.name || sessionIndex + 1}"`;
+			
+			try {
+				const windowTabs = Object.values(sessionData.windows || {}).map((tabsOfWindow) => {
+					return Object.values(tabsOfWindow).sort((a, b) => a.index - b.index);
+				});
+				
+				const importedTabs = windowTabs.flatMap((tabsOfWindow, windowIndex) => {
+					return this._convertTabs(tabsOfWindow, result.failures, `${sessionDescription}, window ${windowIndex + 1}`);
+				});
+				
+				result.sessions.push({
+					date: this._parseDate(sessionData.date),
+					name: sessionData.name || "",
+					description: "Imported from Tab Session Manager",
+					tabs: importedTabs,
+				});
+			} catch (error) {
+				result.failures.push(`${sessionDescription}: ${error}`);
+			}
+		});
+		
+		return result;
+	}
+}
+
+// Session Buddy exports collections of windows ("folders") with tabs ("links"). Older versions
+// exported sessions of windows with tabs instead, which map the same way.
+export class SessionBuddyImporter extends ForeignArchiveImporter {
+	constructor() {
+		super("Session Buddy");
+	}
+	
+	matches(data) {
+		return data !== null && typeof data === "object" && (Array.isArray(data.collections) || (Array.isArray(data.sessions) && data.sessions.every((session) => session && Array.isArray(session.windows))));
+	}
+	
+	convert(data) {
+		const result = this._createResult();
+		const collections = (Array.isArray(data.collections) ? data.collections : data.sessions);
+		
+		collections.forEach((collection, collectionIndex) => {
+			const name = collection.title || collection.name || "";
+			const collectionDescription = `Collection "${name || collectionIndex + 1}"`;
+			
+			try {
+				const windows = collection.folders || collection.windows || [];
+				
+				const importedTabs = windows.flatMap((windowData, windowIndex) => {
+					const tabDatas = (windowData.links || windowData.tabs || []).map((tabData) => Object.assign({ windowId: windowIndex }, tabData));
+					return this._convertTabs(tabDatas, result.failures, `${collectionDescription}, window ${windowIndex + 1}`);
+				});
+				
+				result.sessions.push({
+					date: this._parseDate(collection.created || collection.generated),
+					name: name,
+					description: "Imported from Session Buddy",
+					tabs: importedTabs,
+				});
+			} catch (error) {
+				result.failures.push(`${collectionDescription}: ${error}`);
+			}
+		});
+		
+		return result;
+	}
+}
+
+// Toby organizes tabs ("cards") in lists, which are closer to categories than to sessions, so lists become
+// categories of their own. Lists might be grouped (into "spaces"), in which case the groups become parent categories.
+export class TobyImporter extends ForeignArchiveImporter {
+	constructor() {
+		super("Toby");
+	}
+	
+	matches(data) {
+		return data !== null && typeof data === "object" && "version" in data && (Array.isArray(data.lists) || Array.isArray(data.groups));
+	}
+	
+	_convertList(listData, listIndex, failures, groupDescription) {
+		const name = listData.title || listData.name || "";
+		const listDescription = `${groupDescription}List "${name || listIndex + 1}"`;
+		
+		const tabDatas = (listData.cards || []).map((card) => {
+			return Object.assign({}, card, { title: card.customTitle || card.title });
+		});
+		
+		const importedTabs = this._convertTabs(tabDatas, failures, listDescription);
+		
+		return {
+			name: name,
+			date: undefined,
+			folders: [],
+			bookmarks: importedTabs.map((importedTab) => importedTab.tab),
+		};
+	}
+	
+	convert(data) {
+		const result = this._createResult();
+		const rootFolder = { name: "", date: undefined, folders: [], bookmarks: [] };
+		
+		const convertLists = (lists, targetFolder, groupDescription) => {
+			(lists || []).forEach((listData, listIndex) => {
+				try {
+					targetFolder.folders.push(this._convertList(listData, listIndex, result.failures, groupDescription));
+				} catch (error) {
+					result.failures.push(`${groupDescription}List ${listIndex + 1}: ${error}`);
+				}
+			});
+		};
+		
+		convertLists(data.lists, rootFolder, "");
+		
+		(data.groups || []).forEach((groupData, groupIndex) => {
+			const groupFolder = { name: groupData.name || groupData.title || "", date: undefined, folders: [], bookmarks: [] };
+			
+			convertLists(groupData.lists, groupFolder, `Group "${groupFolder.name || groupIndex + 1}", `);
+			rootFolder.folders.push(groupFolder);
+		});
+		
+		result.folders = rootFolder;
+		
+		return result;
+	}
+}
+
+export class ImporterRegistry {
+	constructor() {
+		this._importers = [];
+	}
+	
+	register(importer) {
+		this._importers.push(importer);
+	}
+	
+	// Returns the first importer that recognizes the data, or null if none does.
+	find(data) {
+		return this._importers.find((importer) => importer.matches(data)) || null;
+	}
+}
+
+export const importers = new ImporterRegistry();
+importers.register(new TabSessionManagerImporter());
+importers.register(new SessionBuddyImporter());
+importers.register(new TobyImporter());
+
+export { importers as default };
@@ -3,7 +3,14 @@ export class LocalCache {
 		this._defaultStorage = {
 			archive: {
 				actionsPanelWasOpen: true,
-			}
+			},
+			backups: {
+				lastAttemptDate: 0,
+				lastSuccessDate: 0,
+				lastFilename: "",
+				lastError: "",
+				backupFiles: "",
+			},
 		};
 		this._storage = JSON.parse(JSON.stringify(this._defaultStorage));
 		
@@ -58,6 +65,16 @@ export class LocalCache {
 		})();
 	}
 	
+	get backups() {	
+		return (async () => {
+			if (this._storagePromise !== null) {
+				await this._storagePromise;
+			}
+			
+			return this._storage.backups;
+		})();
+	}
+	
 	async update() {		
 		return browser.storage.local.set(this._storage);
 	}
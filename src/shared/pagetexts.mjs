@@ -0,0 +1,140 @@
+import { searchtokenizer } from "./searchtokens.mjs";
+
+// Page texts beyond this length get cut off. Long pages are rarely remembered by what
+// they say at the very end, and the search index would grow out of proportion otherwise.
+const maxPageTextLength = 100000;
+
+// Injected into tabs as a content script, so it must not reference anything outside of itself.
+// Prefers the main article of a page over the whole body, which mostly adds navigation noise.
+function extractPageText(maxLength) {
+	const descriptionElement = document.querySelector('meta[name="description" i], meta[property="og:description" i]');
+	const contentElement = document.querySelector("article") || document.querySelector("main, [role=main]") || document.body;
+	
+	const normalizeWhitespace = (text) => (text || "").replace(/\s+/g, " ").trim();
+	
+	return {
+		description: normalizeWhitespace(descriptionElement ? descriptionElement.getAttribute("content") : "").slice(0, maxLength),
+		text: normalizeWhitespace(contentElement ? contentElement.innerText : "").slice(0, maxLength),
+	};
+}
+
+export class PageTextHelper {
+	// Extracts the readable text of an open tab. Requires host permissions for the tab's website.
+	async capture(tabId) {
+		const results = await browser.tabs.executeScript(tabId, {
+			code: `(${extractPageText.toString()})(${maxPageTextLength});`,
+			runAt: "document_idle",
+		});
+		
+		const pageText = results[0];
+		
+		if (!pageText || (pageText.description.length === 0 && pageText.text.length === 0)) {
+			throw("The page doesn't contain any text.");
+		}
+		
+		return pageText;
+	}
+	
+	getTokens(pageText) {
+		return [...new Set([
+			...searchtokenizer.tokenize(pageText.description),
+			...searchtokenizer.tokenize(pageText.text),
+		])];
+	}
+	
+	// Page texts are stored gzip-compressed, since plain text compresses very well.
+	async compress(pageText) {
+		const stream = new Blob([JSON.stringify(pageText)]).stream().pipeThrough(new CompressionStream("gzip"));
+		
+		return new Response(stream).blob();
+	}
+	
+	async decompress(compressedPageText) {
+		const stream = compressedPageText.stream().pipeThrough(new DecompressionStream("gzip"));
+		
+		return JSON.parse(await new Response(stream).text());
+	}
+	
+	// Returns up to maxSnippets excerpts of the page text around words matched by the search text.
+	// Each snippet is a list of parts, so that callers can highlight the matched words themselves.
+	getSnippets(pageText, searchText, maxSnippets = 3, contextLength = 60) {
+		const searchTokens = searchtokenizer.tokenize(searchText);
+		
+		if (searchTokens.length === 0) {
+			return [];
+		}
+		
+		const snippets = [];
+		
+		for (const text of [pageText.description, pageText.text]) {
+			let snippet = null;
+			
+			for (const wordMatch of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+				const word = wordMatch[0].toLowerCase();
+				
+				if (!searchTokens.some((searchToken) => word.startsWith(searchToken))) {
+					continue;
+				}
+				
+				const wordStart = wordMatch.index;
+				const wordEnd = wordStart + wordMatch[0].length;
+				
+				// Matches that are close to each other share a snippet.
+				if (snippet !== null && wordStart - snippet.end <= contextLength) {
+					snippet.matches.push([wordStart, wordEnd]);
+					snippet.end = wordEnd;
+					continue;
+				}
+				
+				if (snippet !== null) {
+					snippets.push(this._createSnippetParts(text, snippet, contextLength));
+					
+					if (snippets.length >= maxSnippets) {
+						return snippets;
+					}
+				}
+				
+				snippet = { matches: [[wordStart, wordEnd]], end: wordEnd };
+			}
+			
+			if (snippet !== null) {
+				snippets.push(this._createSnippetParts(text, snippet, contextLength));
+				
+				if (snippets.length >= maxSnippets) {
+					return snippets;
+				}
+			}
+		}
+		
+		return snippets;
+	}
+	
+	_createSnippetParts(text, snippet, contextLength) {
+		const start = Math.max(snippet.matches[0][0] - contextLength, 0);
+		const end = Math.min(snippet.end + contextLength, text.length);
+		
+		const parts = [];
+		let position = start;
+		
+		if (start > 0) {
+			parts.push({ text: "…", isMatch: false });
+		}
+		
+		for (const [matchStart, matchEnd] of snippet.matches) {
+			parts.push({ text: text.slice(position, matchStart), isMatch: false });
+			parts.push({ text: text.slice(matchStart, matchEnd), isMatch: true });
+			position = matchEnd;
+		}
+		
+		parts.push({ text: text.slice(position, end), isMatch: false });
+		
+		if (end < text.length) {
+			parts.push({ text: "…", isMatch: false });
+		}
+		
+		return parts;
+	}
+}
+
+export const pagetexthelper = new PageTextHelper();
+export { pagetexthelper as default };
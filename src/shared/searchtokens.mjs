@@ -0,0 +1,44 @@
+// Longer tokens (mostly IDs and encoded data in URLs) get truncated to this length. This keeps
+// the search index small, and since search tokens are truncated the same way, prefix matching
+// still finds them.
+const maxTokenLength = 32;
+
+export class SearchTokenizer {
+	// Splits text into lower-case words, treating everything except letters and digits as separators.
+	tokenize(text) {
+		if (typeof text !== "string") {
+			return [];
+		}
+		
+		const tokens = text.toLowerCase()
+			.split(/[^\p{L}\p{N}]+/u)
+			.filter((token) => token.length > 0)
+			.map((token) => token.slice(0, maxTokenLength));
+		
+		return [...new Set(tokens)];
+	}
+	
+	// Returns all tokens a tab can be found by.
+	getTabTokens(tab) {
+		const tokens = new Set();
+		const tags = (Array.isArray(tab.tags) ? tab.tags : []);
+		
+		for (const text of [tab.url, tab.title, tab.note, ...tags]) {
+			for (const token of this.tokenize(text)) {
+				tokens.add(token);
+			}
+		}
+		
+		return [...tokens];
+	}
+	
+	// Search text matches a list of tokens if each of its own tokens is the beginning of one of them.
+	matches(tokens, searchText) {
+		return this.tokenize(searchText).every((searchToken) => {
+			return tokens.some((token) => token.startsWith(searchToken));
+		});
+	}
+}
+
+export const searchtokenizer = new SearchTokenizer();
+export { searchtokenizer as default };
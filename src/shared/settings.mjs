@@ -1,4 +1,5 @@
 import debugh from "./debughelper.mjs";
+import { defaultUrlNormalizationRules } from "./urlnormalization.mjs";
 
 export class Settings {
 	constructor() {
@@ -24,12 +25,30 @@ export class Settings {
 			archiveSettings: {
 				noDuplicateUrls: false,
 				onlyStoreLatestSession: false,
+				urlNormalization: Object.assign({}, defaultUrlNormalizationRules),
 				
 				savePreviewImages: false,
 				previewImageFormat: "jpeg",
 				previewImageQuality: 92,
 				previewImageScale: 0.25,
 				
+				savePageTexts: false,
+				
+				trashRetentionDays: 30,
+				retentionPolicy: {
+					enabled: false,
+					maxTabAgeDays: 0,
+					maxSessionCount: 0,
+					moveToTrash: true,
+				},
+				storageWarningThresholdMegabytes: 0,
+				backups: {
+					enabled: false,
+					interval: "daily",
+					subfolder: "PhanTabular Backups",
+					keepCount: 7,
+				},
+				
 				contextSpecificSettings: {
 					popup: {
 						autoCloseArchivedTabs: true,
@@ -74,6 +93,30 @@ export class Settings {
 							},
 						},
 					},
+					idleTabs: {
+						archiveIdleTabs: false,
+						autoCloseArchivedTabs: true,
+						idleMinutes: 240,
+						exclusionRule: "",
+						tabSpecificSettings: {
+							hidden: {
+								canArchive: false,
+								canClose: false,
+							},
+							pinned: {
+								canArchive: false,
+								canClose: false,
+							},
+							browser: {
+								canArchive: false,
+								canClose: false,
+							},
+							extension: {
+								canArchive: false,
+								canClose: false,
+							},
+						},
+					},
 				},
 			},
 			viewSettings: {
@@ -0,0 +1,119 @@
+// Exports tabs into formats meant for reading and pasting elsewhere, rather than for importing them again.
+// Callers describe what to export as a list of sections, each with a heading level (0 being the top level)
+// and the tabs listed under it: [{ title, level, tabs: [{ url, title }] }]
+// CSV is the exception, since spreadsheets want one row per tab instead:
+// [{ title, url, categories: [names], sessions: [names], archiveDate }]
+export const textExportFormats = {
+	markdown: { extension: "md", type: "text/markdown" },
+	html: { extension: "html", type: "text/html" },
+	csv: { extension: "csv", type: "text/csv" },
+	urllist: { extension: "txt", type: "text/plain" },
+};
+
+export class TextExporter {
+	_escapeMarkdown(text) {
+		return text.replace(/([\\`*_\[\]<>])/g, "\\$1");
+	}
+	
+	// Parentheses and whitespace would end the link target early.
+	_escapeMarkdownUrl(url) {
+		return url.replace(/[()\s]/g, (character) => "%" + character.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0"));
+	}
+	
+	_escapeHtml(text) {
+		return text.replace(/[&<>"']/g, (character) => `&#${character.charCodeAt(0)};`);
+	}
+	
+	toMarkdown(title, sections) {
+		const lines = [`# ${this._escapeMarkdown(title)}`, ""];
+		
+		for (const section of sections) {
+			// Markdown only has six heading levels.
+			lines.push(`${"#".repeat(Math.min(section.level + 2, 6))} ${this._escapeMarkdown(section.title)}`, "");
+			
+			if (section.tabs.length === 0) {
+				continue;
+			}
+			
+			for (const tab of section.tabs) {
+				lines.push(`- [${this._escapeMarkdown(tab.title || tab.url)}](${this._escapeMarkdownUrl(tab.url)})`);
+			}
+			
+			lines.push("");
+		}
+		
+		return lines.join("\n");
+	}
+	
+	toHtml(title, sections) {
+		const body = sections.map((section) => {
+			const headingLevel = Math.min(section.level + 2, 6);
+			const heading = `<h${headingLevel}>${this._escapeHtml(section.title)}</h${headingLevel}>`;
+			
+			if (section.tabs.length === 0) {
+				return heading;
+			}
+			
+			const listItems = section.tabs.map((tab) => {
+				return `\t<li><a href="${this._escapeHtml(tab.url)}">${this._escapeHtml(tab.title || tab.url)}</a></li>`;
+			});
+			
+			return [heading, "<ul>", ...listItems, "</ul>"].join("\n");
+		});
+		
+		return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this._escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; max-width: 60em; margin: 2em auto; padding: 0 1em; line-height: 1.5; }
+li { overflow-wrap: anywhere; }
+</style>
+</head>
+<body>
+<h1>${this._escapeHtml(title)}</h1>
+${body.join("\n")}
+</body>
+</html>
+`;
+	}
+	
+	// Quotes every field, and keeps spreadsheets from evaluating fields that look like formulas.
+	_escapeCsvField(value) {
+		let text = String(value ?? "");
+		
+		if (/^[=+\-@\t\r]/.test(text)) {
+			text = "'" + text;
+		}
+		
+		return `"${text.replace(/"/g, "\"\"")}"`;
+	}
+	
+	toCsv(rows) {
+		const lines = [["Title", "URL", "Categories", "Sessions", "Archive Date"].map((field) => this._escapeCsvField(field)).join(",")];
+		
+		for (const row of rows) {
+			lines.push([
+				row.title,
+				row.url,
+				row.categories.join("; "),
+				row.sessions.join("; "),
+				(row.archiveDate !== undefined ? new Date(row.archiveDate).toISOString() : ""),
+			].map((field) => this._escapeCsvField(field)).join(","));
+		}
+		
+		return lines.join("\r\n") + "\r\n";
+	}
+	
+	// Every URL only appears once, even if its tab is listed in several sections.
+	toUrlList(sections) {
+		const urls = new Set(sections.flatMap((section) => section.tabs.map((tab) => tab.url)));
+		
+		return [...urls].join("\n") + "\n";
+	}
+}
+
+export const textexporter = new TextExporter();
+export { textexporter as default };
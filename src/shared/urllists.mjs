@@ -0,0 +1,86 @@
+// Parses plain text lists of URLs, like the export of OneTab, which writes one "URL | title" pair
+// per line and separates its tab groups with blank lines. Lists of just URLs work the same way.
+export class UrlListParser {
+	// Only URLs with a scheme are accepted, so that random lines of text don't turn into tabs.
+	_parseUrl(text) {
+		if (!/^[a-z][a-z0-9+.-]*:\S+$/i.test(text)) {
+			return null;
+		}
+		
+		try {
+			return new URL(text).href;
+		} catch {
+			return null;
+		}
+	}
+	
+	_parseLine(line) {
+		const oneTabMatch = line.match(/^(\S+)\s+\|(?:\s+(.*))?$/);
+		
+		if (oneTabMatch !== null) {
+			const url = this._parseUrl(oneTabMatch[1]);
+			const title = (oneTabMatch[2] || "").trim();
+			
+			if (url !== null) {
+				return { url: url, title: (title.length > 0 ? title : url) };
+			}
+		}
+		
+		const url = this._parseUrl(line);
+		
+		return (url !== null ? { url: url, title: url } : null);
+	}
+	
+	// Returns the blocks of the list in the shape db.importSessions() expects, along with the lines
+	// that didn't contain a URL. A list in which no line contains a URL probably isn't a list at all.
+	parse(text) {
+		const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+		const sessions = [];
+		const skippedLines = [];
+		
+		let currentTabs = [];
+		let isOneTabExport = false;
+		
+		const finishSession = () => {
+			if (currentTabs.length > 0) {
+				sessions.push({ tabs: currentTabs });
+				currentTabs = [];
+			}
+		};
+		
+		for (const rawLine of lines) {
+			const line = rawLine.trim();
+			
+			if (line.length === 0) {
+				finishSession();
+				continue;
+			}
+			
+			const tab = this._parseLine(line);
+			
+			if (tab === null) {
+				skippedLines.push(line);
+				continue;
+			}
+			
+			isOneTabExport = isOneTabExport || line.includes(" |");
+			currentTabs.push({ tab: tab });
+		}
+		
+		finishSession();
+		
+		const description = `Imported from ${isOneTabExport ? "OneTab" : "URL list"}`;
+		
+		for (const session of sessions) {
+			session.description = description;
+		}
+		
+		return {
+			sessions: sessions,
+			skippedLines: skippedLines,
+		};
+	}
+}
+
+export const urllistparser = new UrlListParser();
+export { urllistparser as default };
@@ -0,0 +1,97 @@
+// Default rules for normalizing URLs before comparing them for duplicates. These are also
+// the defaults for "archiveSettings.urlNormalization" and get used by database migrations,
+// so changing them only affects how URLs are compared, never the URLs that are stored.
+// "trackingParameters" is a list of query parameter names separated by whitespace or commas.
+// Names ending in "*" match every parameter starting with the part in front of it.
+export const defaultUrlNormalizationRules = Object.freeze({
+	stripTrackingParameters: true,
+	trackingParameters: [
+		"utm_*",
+		"fbclid",
+		"gclid",
+		"gbraid",
+		"wbraid",
+		"dclid",
+		"msclkid",
+		"yclid",
+		"igshid",
+		"mc_cid",
+		"mc_eid",
+		"_hsenc",
+		"_hsmi",
+		"mkt_tok",
+	].join("\n"),
+	ignoreFragments: true,
+	ignoreTrailingSlashes: true,
+	ignoreWww: true,
+	sortQueryParameters: true,
+});
+
+export class UrlNormalizer {
+	parseTrackingParameters(trackingParametersText) {
+		return trackingParametersText.split(/[\s,]+/)
+			.map((parameterName) => parameterName.trim().toLowerCase())
+			.filter((parameterName) => parameterName.length > 0);
+	}
+	
+	_isTrackingParameter(parameterName, trackingParameters) {
+		const lowerCaseParameterName = parameterName.toLowerCase();
+		
+		return trackingParameters.some((trackingParameter) => {
+			if (trackingParameter.endsWith("*")) {
+				return lowerCaseParameterName.startsWith(trackingParameter.slice(0, -1));
+			}
+			
+			return lowerCaseParameterName === trackingParameter;
+		});
+	}
+	
+	// Returns the URL in the form it should be compared in for finding duplicates. URLs that can't
+	// be parsed or don't use http(s) are returned unchanged, since none of the rules make sense for them.
+	normalize(url, rules = defaultUrlNormalizationRules) {
+		let parsedUrl = null;
+		
+		try {
+			parsedUrl = new URL(url);
+		} catch (error) {
+			return url;
+		}
+		
+		if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
+			return url;
+		}
+		
+		if (rules.ignoreWww && parsedUrl.hostname.startsWith("www.")) {
+			parsedUrl.hostname = parsedUrl.hostname.slice("www.".length);
+		}
+		
+		if (rules.ignoreTrailingSlashes && parsedUrl.pathname.endsWith("/")) {
+			parsedUrl.pathname = parsedUrl.pathname.replace(/\/+$/, "");
+		}
+		
+		// Only touch the query when we have to, since URLSearchParams re-encodes it.
+		if (rules.stripTrackingParameters && parsedUrl.search.length > 0) {
+			const trackingParameters = this.parseTrackingParameters(rules.trackingParameters);
+			const parameterNames = [...new Set(parsedUrl.searchParams.keys())];
+			
+			for (const parameterName of parameterNames) {
+				if (this._isTrackingParameter(parameterName, trackingParameters)) {
+					parsedUrl.searchParams.delete(parameterName);
+				}
+			}
+		}
+		
+		if (rules.sortQueryParameters && parsedUrl.search.length > 0) {
+			parsedUrl.searchParams.sort();
+		}
+		
+		if (rules.ignoreFragments) {
+			parsedUrl.hash = "";
+		}
+		
+		return parsedUrl.toString();
+	}
+}
+
+export const urlnormalizer = new UrlNormalizer();
+export { urlnormalizer as default };